@@ -0,0 +1,42 @@
+'use strict';
+
+function parseAcceptEncoding(acceptEncoding) {
+  return acceptEncoding.split(',').map((part, order) => {
+    const [encoding, ...params] = part.trim().split(';');
+    let q = 1;
+    for (const param of params) {
+      const [key, value] = param.trim().split('=');
+      if (key.trim().toLowerCase() === 'q') {
+        q = parseFloat(value);
+        if (Number.isNaN(q)) {
+          q = 0;
+        }
+      }
+    }
+    return {encoding: encoding.trim().toLowerCase(), q, order};
+  }).filter(spec => spec.encoding);
+}
+
+/**
+ * Returns the encodings in `available` the client accepts, best first.
+ * Encodings with the same q value keep their order in `available`
+ * so the server's preference breaks ties.
+ *
+ * @param {string} acceptEncoding value of the Accept-Encoding header
+ * @param {string[]} available encodings the server can provide in order of preference
+ * @returns {string[]}
+ */
+function preferredEncodings(acceptEncoding, available) {
+  const specs = parseAcceptEncoding(acceptEncoding || '');
+  const star = specs.find(spec => spec.encoding === '*');
+  return available
+    .map((encoding, ndx) => {
+      const spec = specs.find(spec => spec.encoding === encoding) || star;
+      return {encoding, q: spec ? spec.q : 0, ndx};
+    })
+    .filter(({q}) => q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.ndx - b.ndx))
+    .map(({encoding}) => encoding);
+}
+
+module.exports = preferredEncodings;
@@ -0,0 +1,206 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('servez:access-log');
+const chunkLength = require('./chunk');
+
+const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function pad2(v) {
+  return v.toString().padStart(2, '0');
+}
+
+// 10/Oct/2000:13:55:36 -0700
+function formatClfDate(d) {
+  const offset = -d.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const absOffset = Math.abs(offset);
+  return `${pad2(d.getDate())}/${months[d.getMonth()]}/${d.getFullYear()}:` +
+         `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())} ` +
+         `${sign}${pad2(Math.floor(absOffset / 60))}${pad2(absOffset % 60)}`;
+}
+
+function formatDay(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+function quote(s) {
+  return s === undefined ? '"-"' : JSON.stringify(String(s));
+}
+
+function formatCommon(r) {
+  return `${r.remoteAddress || '-'} - ${r.user || '-'} [${formatClfDate(r.time)}] ` +
+         `"${r.method} ${r.url} HTTP/${r.httpVersion}" ${r.status} ${r.bytes}`;
+}
+
+const formatters = {
+  common: formatCommon,
+  combined: r => `${formatCommon(r)} ${quote(r.referrer)} ${quote(r.userAgent)}`,
+  json: r => JSON.stringify(r),
+};
+
+function getUser(req) {
+  const m = /^basic +(.+)$/i.exec(req.headers.authorization || '');
+  if (m) {
+    const decoded = Buffer.from(m[1], 'base64').toString();
+    const ndx = decoded.indexOf(':');
+    return ndx >= 0 ? decoded.substring(0, ndx) : undefined;
+  }
+}
+
+/**
+ * Formats an access log record.
+ *
+ * @param {Object} record
+ * @param {string} format 'common', 'combined' or 'json'
+ * @returns {string}
+ */
+function formatRecord(record, format) {
+  const formatter = formatters[format];
+  if (!formatter) {
+    throw new Error(`unknown access log format: ${format}`);
+  }
+  return formatter(record);
+}
+
+/**
+ * Makes an access log record for each request once its response
+ * has finished.
+ *
+ * @param {function} onRecord called with the record for each request
+ * @returns {function} middleware
+ */
+function accessLog(onRecord) {
+  return function (req, res, next) {
+    const time = new Date();
+    const start = process.hrtime.bigint();
+    let bytes = 0;
+
+    // Count the body bytes as they go out. Content-Length is missing on
+    // streamed responses like archives and proxied requests.
+    const write = res.write;
+    const end = res.end;
+    res.write = function (chunk, encoding) {
+      bytes += chunkLength(chunk, encoding);
+      return write.apply(this, arguments);
+    };
+    res.end = function (chunk, encoding) {
+      bytes += chunkLength(chunk, encoding);
+      return end.apply(this, arguments);
+    };
+
+    res.once('close', () => {
+      onRecord({
+        time,
+        remoteAddress: req.socket.remoteAddress,
+        user: getUser(req),
+        method: req.method,
+        url: req.originalUrl || req.url,
+        httpVersion: req.httpVersion,
+        status: res.statusCode,
+        bytes: req.method === 'HEAD' ? 0 : bytes,
+        encoding: res.getHeader('content-encoding'),
+        duration: Number(process.hrtime.bigint() - start) / 1e6,
+        referrer: req.headers.referer || req.headers.referrer,
+        userAgent: req.headers['user-agent'],
+        completed: res.writableFinished,
+      });
+    });
+
+    next();
+  };
+}
+
+/**
+ * Appends lines to a file, rotating it by size or by day.
+ * Size rotation renames `file` to `file.1`, `file.1` to `file.2` etc.
+ * Daily rotation renames `file` to `file.YYYY-MM-DD`.
+ *
+ * @param {string} filename
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] rotate when the file would get bigger than this
+ * @param {number} [options.maxFiles] number of size rotated files to keep (default 5)
+ * @param {boolean} [options.daily] rotate when the day changes
+ * @returns {{filename: string, write: function(string), setOptions: function(Object), close: function(): Promise}}
+ *     `setOptions` replaces `options`. `close` waits for pending writes.
+ */
+function createLogFile(filename, options = {}) {
+  let pending = [];
+  let writing = Promise.resolve();
+  let size;
+  let day;
+
+  async function getSize() {
+    if (size === undefined) {
+      try {
+        const stat = await fs.promises.stat(filename);
+        size = stat.size;
+        day = formatDay(stat.mtime);
+      } catch (e) {
+        size = 0;
+      }
+    }
+    return size;
+  }
+
+  async function rotateBySize() {
+    const maxFiles = options.maxFiles || 5;
+    for (let i = maxFiles - 1; i >= 1; --i) {
+      await fs.promises.rename(`${filename}.${i}`, `${filename}.${i + 1}`).catch(() => {});
+    }
+    await fs.promises.rename(filename, `${filename}.1`);
+    size = 0;
+  }
+
+  async function rotateByDay(oldDay) {
+    await fs.promises.rename(filename, `${filename}.${oldDay}`);
+    size = 0;
+  }
+
+  async function flush() {
+    const lines = pending;
+    pending = [];
+    if (!lines.length) {
+      return;
+    }
+    const data = lines.join('');
+    const today = formatDay(new Date());
+    const currentSize = await getSize();
+    if (currentSize > 0) {
+      if (options.daily && day && day !== today) {
+        await rotateByDay(day);
+      } else if (options.maxSize && currentSize + data.length > options.maxSize) {
+        await rotateBySize();
+      }
+    }
+    await fs.promises.mkdir(path.dirname(filename), {recursive: true});
+    await fs.promises.appendFile(filename, data);
+    size += Buffer.byteLength(data);
+    day = today;
+  }
+
+  return {
+    filename,
+    write(line) {
+      pending.push(`${line}\n`);
+      if (pending.length === 1) {
+        writing = writing.then(flush).catch((err) => {
+          debug('error writing %s: %s', filename, err);
+        });
+      }
+    },
+    setOptions(newOptions = {}) {
+      options = newOptions;
+    },
+    close() {
+      return writing;
+    },
+  };
+}
+
+accessLog.formats = Object.keys(formatters);
+accessLog.formatRecord = formatRecord;
+accessLog.createLogFile = createLogFile;
+
+module.exports = accessLog;
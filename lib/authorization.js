@@ -0,0 +1,251 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const parse = require('url').parse;
+const auth = require('basic-auth');
+const bcrypt = require('bcryptjs');
+const apacheMd5 = require('apache-md5');
+const picomatch = require('picomatch');
+const secureCompare = require('secure-compare');
+const debug = require('debug')('servez:authorization');
+const watchedFile = require('./watched-file');
+
+const roles = ['read-only', 'read-write'];
+const readMethods = ['GET', 'HEAD', 'OPTIONS', 'PROPFIND'];
+
+// Checked when there is no such user so that takes as long as checking a real one.
+const dummyPassword = crypto.randomBytes(16).toString('base64');
+const dummyBcryptHash = '$2b$10$YfJ93z5sMeMIr5BVg2Oi5.Hf1esZJmPvxO.bBDlE6KqDz42l0oG5C';
+const dummyApr1Hash = '$apr1$My5y9m.h$BUjAhNGpq.RRme9TQRKFr.';
+
+function isHash(s) {
+  return s.startsWith('$2') || s.startsWith('$apr1$') || s.startsWith('{SHA}');
+}
+
+async function verifyHash(password, hash) {
+  if (hash.startsWith('$2')) {
+    return bcrypt.compare(password, hash);
+  }
+  if (hash.startsWith('$apr1$')) {
+    return secureCompare(apacheMd5(password, hash), hash);
+  }
+  if (hash.startsWith('{SHA}')) {
+    return secureCompare(`{SHA}${crypto.createHash('sha1').update(password).digest('base64')}`, hash);
+  }
+  // crypt() and others are not supported
+  return false;
+}
+
+function parseHtpasswd(str) {
+  const entries = [];
+  for (const line of str.split(/\r?\n/)) {
+    const ndx = line.indexOf(':');
+    if (!line.trim() || line.startsWith('#') || ndx < 0) {
+      continue;
+    }
+    entries.push([line.substring(0, ndx), line.substring(ndx + 1).trim()]);
+  }
+  return entries;
+}
+
+// bcrypt and apr1-MD5 are slow so if any user has one so does the dummy user.
+function makeDummyUser(users) {
+  const hashes = [...users.values()].map(user => user.hash || '');
+  const bcryptHash = hashes.find(hash => hash.startsWith('$2'));
+  if (bcryptHash) {
+    // '$2y$04$' etc. The cost, not the hash, sets how long it takes.
+    return {hash: `${bcryptHash.substring(0, 7)}${dummyBcryptHash.substring(7)}`};
+  }
+  if (hashes.some(hash => hash.startsWith('$apr1$'))) {
+    return {hash: dummyApr1Hash};
+  }
+  return {password: dummyPassword};
+}
+
+function checkRole(name, role) {
+  if (!roles.includes(role)) {
+    throw new Error(`unknown role for user ${name}: ${role}`);
+  }
+}
+
+/**
+ * Basic auth for one or more users with optional per-path rules.
+ *
+ * Users come from `username`/`password`, an htpasswd file and
+ * a users map. An entry in the users map with no password sets
+ * the role of a user from the htpasswd file. Users are read-write
+ * unless their role is 'read-only'. Read-only users can only use
+ * GET, HEAD, OPTIONS and PROPFIND.
+ *
+ * Rules are checked in order and the first one whose `path` glob
+ * matches is used. `public` rules let anyone read. Rules with `users`
+ * only let those users in. Paths matching no rule need any user.
+ *
+ * @param {Object} options
+ * @param {string} [options.username]
+ * @param {string} [options.password]
+ * @param {string} [options.htpasswd] path of htpasswd file with bcrypt, SHA1 or apr1-MD5 hashes
+ * @param {Object.<string, string|{password: string, role: string}>} [options.users] map of
+ *     usernames to passwords (plain or hashed) or to `{password, role}`
+ * @param {{path: string, users: string[], public: boolean}[]} [options.rules]
+ * @returns {function} middleware with a `check(req)` method that returns a promise of
+ *     200 if the request is allowed, 401 if it needs credentials or 403 if not allowed
+ *     and a `checkPath(name, method, pathname)` method that returns the same for a signed in user.
+ */
+function authorization(options) {
+  // users can be added and removed while servez is running
+  const noEntries = [];
+  const getHtpasswdEntries = options.htpasswd
+    ? watchedFile(path.resolve(options.htpasswd), parseHtpasswd)
+    : () => noEntries;
+  const rules = (options.rules || []).map(rule => Object.assign({}, rule, {
+    // nocase because the file system might not care about case
+    isMatch: picomatch(rule.path, {dot: true, nocase: true}),
+  }));
+
+  for (const [name, value] of Object.entries(options.users || {})) {
+    if (typeof value === 'object' && value.role) {
+      checkRole(name, value.role);
+    }
+  }
+
+  let htpasswdEntries;
+  let users;
+  let dummyUser;
+  // Checking bcrypt hashes is slow and browsers send credentials with every
+  // request so remember the ones that worked until users change.
+  let verified;
+
+  function getUsers() {
+    const entries = getHtpasswdEntries();
+    if (entries !== htpasswdEntries) {
+      htpasswdEntries = entries;
+      users = new Map();
+      verified = new Set();
+      for (const [name, hash] of entries) {
+        users.set(name, {hash, role: 'read-write'});
+      }
+      for (const [name, value] of Object.entries(options.users || {})) {
+        const info = typeof value === 'string' ? {password: value} : value;
+        const user = Object.assign({role: 'read-write'}, users.get(name), info);
+        if (info.password !== undefined) {
+          delete user.hash;
+          if (isHash(info.password)) {
+            user.hash = info.password;
+            delete user.password;
+          }
+        }
+        users.set(name, user);
+      }
+      if (options.username || options.password) {
+        users.set(options.username, {password: options.password, role: 'read-write'});
+      }
+      dummyUser = makeDummyUser(users);
+    }
+    return users;
+  }
+
+  async function getUser(req) {
+    const credentials = auth(req);
+    if (!credentials) {
+      return;
+    }
+    const user = getUsers().get(credentials.name);
+    const key = crypto.createHash('sha256').update(`${credentials.name}\0${credentials.pass}`).digest('base64');
+    if (user && verified.has(key)) {
+      return user;
+    }
+    // Compare even if there is no such user to avoid giving an attacker
+    // knowledge of whether the username is correct via a timing attack.
+    const checked = user || dummyUser;
+    let ok;
+    if (checked.hash) {
+      ok = await verifyHash(credentials.pass, checked.hash);
+    } else {
+      ok = secureCompare(checked.password, credentials.pass);
+    }
+    if (!ok || !user) {
+      return;
+    }
+    verified.add(key);
+    return user;
+  }
+
+  function getRule(pathname) {
+    let normalized;
+    try {
+      normalized = path.posix.normalize(decodeURIComponent(pathname));
+    } catch (e) {
+      normalized = pathname;
+    }
+    return rules.find(rule => rule.isMatch(normalized));
+  }
+
+  function isPublicRead(rule, method) {
+    return !!(rule && rule.public && readMethods.includes(method));
+  }
+
+  /**
+   * Checks if a user that already signed in can use `method` on `pathname`.
+   * For checking other paths a request touches like WebDAV's `Destination`.
+   *
+   * @param {string} [name] username or undefined if not signed in
+   * @param {string} method
+   * @param {string} pathname url path, not decoded
+   * @returns {number} 200 if allowed, 401 if it needs credentials or 403 if not allowed
+   */
+  function checkPath(name, method, pathname) {
+    const rule = getRule(pathname);
+    if (isPublicRead(rule, method)) {
+      return 200;
+    }
+    const user = name !== undefined ? getUsers().get(name) : undefined;
+    if (!user) {
+      return 401;
+    }
+    if (rule && rule.users && !rule.users.includes(name)) {
+      debug('%s not allowed %s %s', name, method, pathname);
+      return 403;
+    }
+    if (!readMethods.includes(method) && user.role !== 'read-write') {
+      debug('%s is read-only: %s %s', name, method, pathname);
+      return 403;
+    }
+    return 200;
+  }
+
+  async function check(req) {
+    const pathname = parse(req.url).pathname;
+    if (isPublicRead(getRule(pathname), req.method)) {
+      return 200;
+    }
+    if (!await getUser(req)) {
+      return 401;
+    }
+    return checkPath(auth(req).name, req.method, pathname);
+  }
+
+  const middleware = function (req, res, next) {
+    check(req).then((status) => {
+      switch (status) {
+        case 200:
+          return next();
+        case 401:
+          res.statusCode = 401;
+          res.setHeader('WWW-Authenticate', 'Basic realm=""');
+          return res.end('Access denied');
+        default:
+          res.statusCode = 403;
+          return res.end('Forbidden');
+      }
+    }).catch(next);
+  };
+
+  middleware.check = check;
+  middleware.checkPath = checkPath;
+
+  return middleware;
+}
+
+module.exports = authorization;
@@ -0,0 +1,212 @@
+'use strict';
+
+const fs = require('fs');
+const stream = require('stream');
+const zlib = require('zlib');
+const mime = require('mime-types');
+const mimeDb = require('mime-db');
+const debug = require('debug')('servez:auto-compression');
+const preferredEncodings = require('./accept-encoding');
+const resolveFile = require('./resolve-file');
+
+const decodePathname = resolveFile.decodePathname;
+
+// Files smaller than this are not worth compressing.
+const minSize = 1024;
+const defaultCacheSize = 50 * 1024 * 1024;
+
+// Qualities are lower than the defaults since this happens while the
+// browser is waiting. Brotli's default of 11 takes seconds on big bundles.
+const brotliOptions = size => ({
+  params: {
+    [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: size,
+  },
+});
+
+const compressors = {
+  br: (buffer, callback) => zlib.brotliCompress(buffer, brotliOptions(buffer.length), callback),
+  ...(zlib.zstdCompress && {
+    zstd: (buffer, callback) => zlib.zstdCompress(buffer, callback),
+  }),
+  gzip: (buffer, callback) => zlib.gzip(buffer, callback),
+};
+
+// For files too big to cache. Called with the file size.
+const streamCompressors = {
+  br: size => zlib.createBrotliCompress(brotliOptions(size)),
+  ...(zlib.createZstdCompress && {
+    zstd: () => zlib.createZstdCompress(),
+  }),
+  gzip: () => zlib.createGzip(),
+};
+
+function isCompressible(type) {
+  const info = mimeDb[type];
+  if (info && info.compressible !== undefined) {
+    return info.compressible;
+  }
+  return /^text\/|\+(?:json|text|xml)$/.test(type);
+}
+
+// Least recently used cache of compressed files with a cap on total bytes.
+class CompressedCache {
+  constructor(maxSize) {
+    this.maxSize = maxSize;
+    this.size = 0;
+    this.entries = new Map();
+  }
+  get(key) {
+    const buffer = this.entries.get(key);
+    if (buffer) {
+      // move to the end so it's the most recently used
+      this.entries.delete(key);
+      this.entries.set(key, buffer);
+    }
+    return buffer;
+  }
+  set(key, buffer) {
+    if (buffer.length > this.maxSize) {
+      return;
+    }
+    this.entries.set(key, buffer);
+    this.size += buffer.length;
+    for (const [oldKey, oldBuffer] of this.entries) {
+      if (this.size <= this.maxSize) {
+        break;
+      }
+      this.entries.delete(oldKey);
+      this.size -= oldBuffer.length;
+    }
+  }
+}
+
+/**
+ * Compresses compressible files on the fly and caches the results.
+ * Files bigger than the cache are compressed as they are sent.
+ *
+ * @param {string} root folder being served
+ * @param {Object} options
+ * @param {string|false} [options.index] name of index file for folders
+ * @param {string[]} [options.extensions] extensions to try if a path is not a file
+ * @param {function} [options.setHeaders] called with (res, path, stat) before sending
+ * @param {number} [options.cacheSize] max bytes of compressed files to keep in memory
+ * @returns {function} middleware
+ */
+function autoCompression(root, options) {
+  const setHeaders = options.setHeaders;
+  const cache = new CompressedCache(options.cacheSize === undefined ? defaultCacheSize : options.cacheSize);
+  const inFlight = new Map();
+  const encodings = Object.keys(compressors);
+
+  function compress(file, encoding, callback) {
+    const {filename, stat} = file;
+    const key = `${encoding}:${stat.mtimeMs}:${stat.size}:${filename}`;
+    const cached = cache.get(key);
+    if (cached) {
+      return callback(null, cached);
+    }
+
+    // If several requests come in for the same file only compress it once.
+    const waiting = inFlight.get(key);
+    if (waiting) {
+      waiting.push(callback);
+      return;
+    }
+    const callbacks = [callback];
+    inFlight.set(key, callbacks);
+    const done = (err, buffer) => {
+      inFlight.delete(key);
+      if (!err) {
+        cache.set(key, buffer);
+      }
+      for (const cb of callbacks) {
+        cb(err, buffer);
+      }
+    };
+
+    fs.readFile(filename, (err, data) => {
+      if (err) {
+        return done(err);
+      }
+      debug('compressing %s with %s', filename, encoding);
+      compressors[encoding](data, done);
+    });
+  }
+
+  return function (req, res, next) {
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || req.headers.range) {
+      return next();
+    }
+
+    const pathname = decodePathname(req.url);
+    if (pathname === undefined) {
+      return next();
+    }
+
+    const file = resolveFile(root, pathname, options);
+    if (!file || file.stat.size < minSize) {
+      return next();
+    }
+
+    const type = mime.lookup(file.filename);
+    if (!type || !isCompressible(type)) {
+      return next();
+    }
+
+    // Even if this response is not compressed the next one might be
+    res.vary('Accept-Encoding');
+    const encoding = preferredEncodings(req.headers['accept-encoding'], encodings)[0];
+    if (!encoding) {
+      return next();
+    }
+
+    const {filename, stat} = file;
+
+    // returns false if not modified
+    function sendHeaders() {
+      res.setHeader('ETag', `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}-${encoding}"`);
+      res.setHeader('Last-Modified', stat.mtime.toUTCString());
+      if (setHeaders) {
+        setHeaders(res, filename, stat);
+      }
+      if (req.fresh) {
+        res.statusCode = 304;
+        res.end();
+        return false;
+      }
+      res.setHeader('Content-Type', mime.contentType(type));
+      res.setHeader('Content-Encoding', encoding);
+      return true;
+    }
+
+    if (stat.size > cache.maxSize) {
+      if (!sendHeaders()) {
+        return;
+      }
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+      debug('streaming %s with %s', filename, encoding);
+      stream.pipeline(fs.createReadStream(filename), streamCompressors[encoding](stat.size), res, (err) => {
+        if (err) {
+          debug('streaming %s failed: %s', filename, err);
+        }
+      });
+      return;
+    }
+
+    compress(file, encoding, (err, buffer) => {
+      if (err) {
+        return next(err);
+      }
+      if (!sendHeaders()) {
+        return;
+      }
+      res.setHeader('Content-Length', buffer.length);
+      res.end(req.method === 'HEAD' ? undefined : buffer);
+    });
+  };
+}
+
+module.exports = autoCompression;
@@ -0,0 +1,60 @@
+'use strict';
+
+const path = require('path');
+const makeGlobMatcher = require('./glob');
+
+const presets = {
+  // never cache. The default since servez is mostly used while developing.
+  none: {
+    'Cache-Control': 'no-cache, no-store, must-revalidate', // HTTP 1.1.
+    'Pragma':        'no-cache',                            // HTTP 1.0.
+    'Expires':       '0',                                   // Proxies.
+  },
+  // cache but check with the server each time (ETag/Last-Modified -> 304)
+  revalidate: {
+    'Cache-Control': 'no-cache',
+  },
+  // for files with a hash in their name
+  immutable: {
+    'Cache-Control': 'public, max-age=31536000, immutable',
+  },
+};
+
+const compressedExtensionRE = /\.(gz|br)$/;
+
+function getHeaders(value) {
+  return presets[value] || {'Cache-Control': value};
+}
+
+/**
+ * Makes a function that returns the caching headers for a file.
+ *
+ * @param {string} root folder being served
+ * @param {string} [preset] 'none', 'revalidate' or 'immutable' (default 'none')
+ * @param {Object.<string, string>} [rules] globs, relative to root, to presets or
+ *     Cache-Control values. Globs without a `/` match the file's name in any folder.
+ *     The first match wins.
+ * @returns {function(string): Object.<string, string>} given a filename returns headers
+ */
+function createCachePolicy(root, preset = 'none', rules = {}) {
+  if (!presets[preset]) {
+    throw new Error(`unknown cache preset: ${preset}`);
+  }
+  const defaultHeaders = presets[preset];
+  const matchers = Object.entries(rules).map(([glob, value]) => ({
+    isMatch: makeGlobMatcher(glob),
+    headers: getHeaders(value),
+  }));
+
+  return function getCacheHeaders(filename) {
+    const relPath = path.relative(root, filename).split(path.sep).join('/');
+    // so precompressed files follow the rules for the file they are a compressed version of
+    const uncompressedPath = relPath.replace(compressedExtensionRE, '');
+    const matcher = matchers.find(m => m.isMatch(relPath) || m.isMatch(uncompressedPath));
+    return matcher ? matcher.headers : defaultHeaders;
+  };
+}
+
+createCachePolicy.presets = Object.keys(presets);
+
+module.exports = createCachePolicy;
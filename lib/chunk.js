@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Gets the number of bytes in a chunk passed to `res.write` or `res.end`
+ * without copying it.
+ *
+ * @param {string|Buffer|Uint8Array|function} [chunk] the callback if there is no chunk
+ * @param {string|function} [encoding] encoding of a string chunk or the callback
+ * @returns {number}
+ */
+function byteLength(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') {
+    return 0;
+  }
+  return typeof chunk === 'string'
+    ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined)
+    : chunk.length;
+}
+
+/**
+ * Gets the bytes of a chunk passed to `res.write` or `res.end`.
+ *
+ * @param {string|Buffer|Uint8Array|function} [chunk] the callback if there is no chunk
+ * @param {string|function} [encoding] encoding of a string chunk or the callback
+ * @returns {Buffer|undefined} undefined if there is no chunk
+ */
+function toBuffer(chunk, encoding) {
+  if (!chunk || typeof chunk === 'function') {
+    return undefined;
+  }
+  return typeof chunk === 'string'
+    ? Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined)
+    : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
+byteLength.toBuffer = toBuffer;
+
+module.exports = byteLength;
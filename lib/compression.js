@@ -30,6 +30,7 @@ const debug = require('debug')('compress');
 const parse = require('url').parse;
 const fs = require('fs');
 const path = require('path');
+const preferredEncodings = require('./accept-encoding');
 const mime = send.mime;
 
 function setHeader(res, path, encoding) {
@@ -54,11 +55,6 @@ function handleGzipBroti(root, options) {
   }
 
   function checkExtension(req, method) {
-    const acceptEncoding = req.headers['accept-encoding'] || '';
-    if (!~acceptEncoding.indexOf(method.encoding)) {
-      return;
-    }
-
     const name = {
       orig: parse(req.url).pathname
     };
@@ -90,9 +86,10 @@ function handleGzipBroti(root, options) {
       return next();
     }
 
+    const encodings = preferredEncodings(req.headers['accept-encoding'], methods.map(method => method.encoding));
     let name;
-    for (const method of methods) {
-      name = checkExtension(req, method);
+    for (const encoding of encodings) {
+      name = checkExtension(req, methods.find(method => method.encoding === encoding));
       if (name) {
         break;
       }
@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const debug = require('debug')('servez:download');
+const resolveFile = require('./resolve-file');
+
+const isHidden = resolveFile.isHidden;
+const isInside = resolveFile.isInside;
+const decodePathname = resolveFile.decodePathname;
+
+const formats = {
+  'zip': { format: 'zip', extension: '.zip', type: 'application/zip', options: { zlib: { level: 6 } } },
+  'tar.gz': { format: 'tar', extension: '.tar.gz', type: 'application/gzip', options: { gzip: true } },
+  'tgz': { format: 'tar', extension: '.tar.gz', type: 'application/gzip', options: { gzip: true } },
+};
+
+// Calls addFile for every file under dir. Symlinks are resolved and skipped
+// if they point outside of realRoot. `visited` stops symlink loops.
+async function walk(dir, relDir, realRoot, hidden, visited, addFile) {
+  const entries = await fs.promises.readdir(dir, {withFileTypes: true});
+  for (const entry of entries) {
+    if (!hidden && entry.name.startsWith('.')) {
+      continue;
+    }
+    const relName = relDir ? `${relDir}/${entry.name}` : entry.name;
+    let realName;
+    let stat;
+    try {
+      realName = await fs.promises.realpath(path.join(dir, entry.name));
+      stat = await fs.promises.stat(realName);
+    } catch (e) {
+      // broken symlink or deleted since readdir
+      continue;
+    }
+    if (!isInside(realName, realRoot)) {
+      debug('skipping %s, it is outside root', relName);
+      continue;
+    }
+    if (stat.isDirectory()) {
+      if (!visited.has(realName)) {
+        visited.add(realName);
+        await walk(realName, relName, realRoot, hidden, visited, addFile);
+      }
+    } else if (stat.isFile()) {
+      addFile(realName, relName, stat);
+    }
+  }
+}
+
+/**
+ * Streams a folder as a zip or tar.gz for requests with `?download=zip`
+ * or `?download=tar.gz`.
+ *
+ * @param {string} root folder being served
+ * @param {Object} options
+ * @param {boolean} [options.hidden] true = include dotfiles
+ * @returns {function} middleware
+ */
+function download(root, options) {
+  return function (req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const info = formats[req.query && req.query.download];
+    if (!info) {
+      return next();
+    }
+
+    const pathname = decodePathname(req.url);
+    if (pathname === undefined) {
+      return next();
+    }
+    if (!options.hidden && isHidden(pathname)) {
+      return next();
+    }
+
+    (async () => {
+      const realRoot = await fs.promises.realpath(root);
+      let dir;
+      try {
+        dir = await fs.promises.realpath(path.join(root, pathname));
+        if (!isInside(dir, realRoot) || !(await fs.promises.stat(dir)).isDirectory()) {
+          return next();
+        }
+      } catch (e) {
+        return next();
+      }
+
+      const basename = dir === realRoot ? path.basename(realRoot) : path.basename(dir);
+      const filename = `${basename || 'download'}${info.extension}`;
+      res.setHeader('Content-Type', info.type);
+      res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+      if (req.method === 'HEAD') {
+        return res.end();
+      }
+
+      debug('sending %s as %s', dir, filename);
+      const archive = archiver(info.format, info.options);
+      archive.on('warning', (err) => {
+        debug('warning: %s', err);
+      });
+      archive.on('error', (err) => {
+        debug('error: %s', err);
+        res.destroy(err);
+      });
+      let aborted = false;
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          aborted = true;
+          archive.abort();
+        }
+      });
+      archive.pipe(res);
+
+      const visited = new Set([dir]);
+      await walk(dir, '', realRoot, options.hidden, visited, (realName, name, stats) => {
+        if (!aborted) {
+          archive.file(realName, {name, stats});
+        }
+      });
+      if (!aborted) {
+        await archive.finalize();
+      }
+    })().catch((err) => {
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        next(err);
+      }
+    });
+  };
+}
+
+module.exports = download;
@@ -0,0 +1,103 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const debug = require('debug')('servez:error-pages');
+
+function escapeStringForHTML(s) {
+  return s
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+function makeErrorHTML(msg) {
+  return `\
+<!DOCTYPE html>
+<html>
+  <style>
+  :root {
+    color-scheme: light dark;
+  }
+  html, body, .msg {
+    height: 100%;
+    font-family: monospace;
+  }
+  .msg {
+    word-break: break-word;
+    display: flex;
+    justify-content: center;
+    align-items: center;
+  }
+  </style>
+  <body>
+    <div class="msg"><div>${escapeStringForHTML(msg)}</div></div>
+  </body>
+</html>
+`;
+}
+
+async function readFileIfExists(filename) {
+  try {
+    return await fs.promises.readFile(filename, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      debug('could not read %s: %s', filename, e);
+    }
+  }
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(status|path|message)\}/g, (m, name) => escapeStringForHTML(String(values[name])));
+}
+
+/**
+ * Makes a function that sends error responses. In order it tries
+ *
+ * * JSON if the client prefers it
+ * * the page for the status, eg. `404.html` in root, as is
+ * * the template with `{status}`, `{path}` and `{message}` replaced
+ * * a plain built in page
+ *
+ * Pages and the template are read for each error so they can be edited
+ * while servez is running.
+ *
+ * @param {string} root folder being served
+ * @param {Object} [options]
+ * @param {Object.<string, string>} [options.pages] map of status codes to pages relative
+ *     to root (default `{404: '404.html', 500: '500.html'}`)
+ * @param {string} [options.template] path of html template for statuses without a page
+ * @returns {function(req, res, number, string): Promise} given (req, res, status, message) sends the error
+ */
+function errorPages(root, options = {}) {
+  const pages = Object.assign({404: '404.html', 500: '500.html'}, options.pages);
+
+  async function getHTML(status, values) {
+    const page = pages[status];
+    if (page) {
+      const html = await readFileIfExists(path.join(root, page));
+      if (html !== undefined) {
+        return html;
+      }
+    }
+    if (options.template) {
+      const template = await readFileIfExists(options.template);
+      if (template !== undefined) {
+        return fillTemplate(template, values);
+      }
+    }
+    return makeErrorHTML(`ERROR ${status}: ${values.message}`);
+  }
+
+  return async function sendError(req, res, status, message) {
+    const values = {status, path: req.path, message};
+    res.status(status);
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json({error: values});
+    }
+    res.type('html').send(await getHTML(status, values));
+  };
+}
+
+module.exports = errorPages;
@@ -0,0 +1,216 @@
+'use strict';
+
+const http2 = require('http2');
+const parse = require('url').parse;
+const makeGlobMatcher = require('./glob');
+const toBuffer = require('./chunk').toBuffer;
+const debug = require('debug')('servez:faults');
+
+// Ends the response without finishing the body.
+function dropConnection(res) {
+  if (res.stream) {
+    // HTTP/2, just reset this stream
+    res.stream.close(http2.constants.NGHTTP2_CANCEL);
+  } else {
+    // end, not destroy, so what was written gets there
+    res.socket.end();
+  }
+}
+
+// Calls `transform` with each chunk of the body and sends what it returns.
+function transformBody(res, transform) {
+  const write = res.write;
+  const end = res.end;
+  res.write = function (chunk, encoding) {
+    const buffer = toBuffer(chunk, encoding);
+    return buffer ? write.call(res, transform(buffer)) : true;
+  };
+  res.end = function (chunk, encoding) {
+    const buffer = toBuffer(chunk, encoding);
+    return buffer ? end.call(res, transform(buffer)) : end.call(res);
+  };
+}
+
+const faults = {
+  status(req, res, next, rule) {
+    res.statusCode = rule.status || 500;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(`injected fault: ${rule.name || 'status'}`);
+  },
+
+  // Sends part of the body, `after` bytes or half if not set, then drops the connection.
+  drop(req, res, next, rule) {
+    const write = res.write;
+    let limit = rule.after;
+    let sent = 0;
+    let dropped = false;
+
+    function drop() {
+      dropped = true;
+      if (!res.headersSent) {
+        res.flushHeaders();
+      }
+      debug('dropping %s after %d bytes', req.url, sent);
+      dropConnection(res);
+    }
+
+    res.write = function (chunk, encoding) {
+      const buffer = toBuffer(chunk, encoding);
+      if (dropped || !buffer) {
+        return !dropped;
+      }
+      if (limit === undefined) {
+        limit = Math.floor((parseInt(res.getHeader('content-length')) || 0) / 2);
+      }
+      const room = limit - sent;
+      if (buffer.length < room) {
+        sent += buffer.length;
+        return write.call(res, buffer);
+      }
+      if (room > 0) {
+        write.call(res, buffer.subarray(0, room));
+        sent += room;
+      }
+      drop();
+      return false;
+    };
+    res.end = function (chunk, encoding) {
+      res.write(chunk, encoding);
+      if (!dropped) {
+        drop();
+      }
+      return res;
+    };
+    next();
+  },
+
+  // Never responds.
+  stall(req) {
+    debug('stalling %s', req.url);
+  },
+
+  // Flips the bits of `bytes` bytes (default 1) at random places in the body.
+  corrupt(req, res, next, rule) {
+    let remaining = rule.bytes || 1;
+    transformBody(res, (buffer) => {
+      if (!remaining || !buffer.length) {
+        return buffer;
+      }
+      // copy because the buffer might be cached
+      const copy = Buffer.from(buffer);
+      const count = Math.min(remaining, copy.length);
+      const offsets = new Set();
+      while (offsets.size < count) {
+        offsets.add(Math.floor(Math.random() * copy.length));
+      }
+      for (const ndx of offsets) {
+        copy[ndx] = copy[ndx] ^ 0xFF;
+      }
+      remaining -= count;
+      return copy;
+    });
+    next();
+  },
+
+  // Sends a Content-Length that is off by `delta` bytes (default 100).
+  // The connection is closed after so the client does not wait forever
+  // or read the extra bytes as the next response.
+  length(req, res, next, rule) {
+    const setHeader = res.setHeader;
+    res.setHeader = function (name, value) {
+      if (name.toLowerCase() === 'content-length') {
+        value = Math.max(0, parseInt(value) + (rule.delta === undefined ? 100 : rule.delta));
+      }
+      return setHeader.call(this, name, value);
+    };
+    if (!res.stream) {
+      res.setHeader('Connection', 'close');
+    }
+    next();
+  },
+};
+
+function compileRule(rule) {
+  if (!faults[rule.fault]) {
+    throw new Error(`unknown fault: ${rule.fault}`);
+  }
+  const path = rule.path || '**';
+  const isMatch = path instanceof RegExp
+    ? pathname => path.test(pathname)
+    : (glob => pathname => glob(pathname.replace(/^\/+/, '')))(makeGlobMatcher(path));
+  return Object.assign({enabled: true, probability: 1}, rule, {isMatch});
+}
+
+/**
+ * Injects faults into responses for testing how clients handle them.
+ *
+ * Each rule has
+ *
+ * * `fault`: 'status', 'drop', 'stall', 'corrupt' or 'length'
+ * * `path`: glob relative to the root url like `cacheRules` or a RegExp tested
+ *   against the url path (default all)
+ * * `name`: for enabling and disabling it at runtime
+ * * `enabled`: (default true)
+ * * `probability`: from 0 to 1 (default 1)
+ * * `methods`: methods to apply to (default all)
+ * * `status`: for 'status' (default 500)
+ * * `after`: for 'drop', bytes to send first (default half)
+ * * `bytes`: for 'corrupt', number of bytes to change (default 1)
+ * * `delta`: for 'length', amount to change Content-Length by (default 100)
+ *
+ * The first enabled rule that matches is used.
+ *
+ * @param {Object[]} [rules]
+ * @param {Object} [options]
+ * @param {function} [options.onFault] called with ({name, fault, method, url}) for each fault
+ * @returns {function} middleware with `setRules(rules)`, `getRules()`
+ *     and `enable(name, enabled)` methods.
+ */
+function faultInjection(rules = [], options = {}) {
+  const onFault = options.onFault || (() => {});
+  let compiled = rules.map(compileRule);
+
+  const middleware = function (req, res, next) {
+    if (!compiled.length) {
+      return next();
+    }
+    const pathname = parse(req.url).pathname;
+    const rule = compiled.find(rule =>
+      rule.enabled &&
+      (!rule.methods || rule.methods.includes(req.method)) &&
+      rule.isMatch(pathname));
+    if (!rule || Math.random() >= rule.probability) {
+      return next();
+    }
+    onFault({name: rule.name, fault: rule.fault, method: req.method, url: req.url});
+    faults[rule.fault](req, res, next, rule);
+  };
+
+  middleware.setRules = function (newRules) {
+    compiled = newRules.map(compileRule);
+  };
+
+  middleware.getRules = function () {
+    return compiled.map((rule) => {
+      const copy = Object.assign({}, rule);
+      delete copy.isMatch;
+      return copy;
+    });
+  };
+
+  middleware.enable = function (name, enabled) {
+    const matching = compiled.filter(rule => rule.name === name);
+    if (!matching.length) {
+      throw new Error(`no fault named: ${name}`);
+    }
+    for (const rule of matching) {
+      rule.enabled = enabled;
+    }
+  };
+
+  return middleware;
+}
+
+faultInjection.faults = Object.keys(faults);
+
+module.exports = faultInjection;
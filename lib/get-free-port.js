@@ -1,41 +1,167 @@
+'use strict';
+
 const debug = require('debug')('servez:get-free-port');
 const net = require('net');
 
-// This works by trying to listen on a port.
-// If connecting works then the port is good to use.
-// If not the port is busy, try another
-function getFreePort(port, host) {
-  debug('getFreePort:', port, host);
-  const server = net.createServer(function() {});
-  return new Promise((resolve, reject) => {
+const defaultMaxAttempts = 100;
+const randomRange = {from: 1024, to: 65535};
 
-    const onError = (err) => {
-      if (err.code !== 'EADDRINUSE' && err.code !== 'EACCES') {
-        debug('getFreePort reject error:', err);
-        return reject(err);
-      } else {
-        debug(`port: ${port} in use, trying next`);
-        resolve(getFreePort(++port, host));
-      }
-    };
-
-    const onListen = () => {
-      debug('found port:', port);
-      server.removeListener('error', onError);
-      server.close(() => {
-        resolve(port);
-      });
-    };
-
-    server.once('listening', onListen);
-    server.once('error', onError);
-
-    server.listen({
-      port, 
-      host,
-      exclusive: true,
+class PortInUseError extends Error {
+  constructor(port, host) {
+    super(`port ${port} in use`);
+    this.name = 'PortInUseError';
+    this.code = 'EADDRINUSE';
+    this.port = port;
+    this.host = host;
+  }
+}
+
+class PortsExhaustedError extends Error {
+  constructor(from, to, attempts) {
+    super(`no free port from ${from} to ${to} after ${attempts} attempts`);
+    this.name = 'PortsExhaustedError';
+    this.code = 'ENOFREEPORT';
+    this.from = from;
+    this.to = to;
+    this.attempts = attempts;
+  }
+}
+
+class PortPermissionError extends Error {
+  constructor(port, host, cause) {
+    super(`no permission to listen on port ${port}`, {cause});
+    this.name = 'PortPermissionError';
+    this.code = 'EACCES';
+    this.port = port;
+    this.host = host;
+  }
+}
+
+function isAnyHost(host) {
+  return host === undefined || host === '0.0.0.0' || host === '::';
+}
+
+// Makes the ports to try. Returns the range for error messages too.
+function getCandidates(port, scan, maxAttempts) {
+  if (!scan) {
+    return {from: port, to: port, ports: [port]};
+  }
+  if (scan === 'random') {
+    const ports = [];
+    for (let i = 0; i < maxAttempts; ++i) {
+      ports.push(randomRange.from + Math.floor(Math.random() * (randomRange.to - randomRange.from + 1)));
+    }
+    return Object.assign({ports}, randomRange);
+  }
+  const from = scan === true ? port : scan.from;
+  const to = Math.min(65535, scan === true ? port + maxAttempts - 1 : scan.to);
+  if (!(from >= 0 && from <= to)) {
+    throw new Error(`bad port range: ${from} to ${to}`);
+  }
+  const ports = [];
+  for (let p = from; p <= to && ports.length < maxAttempts; ++p) {
+    ports.push(p);
+  }
+  return {from, to, ports};
+}
+
+function tryListen(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen({port, host}, () => {
+      server.off('error', reject);
+      resolve();
     });
   });
-};
+}
+
+function closeServer(server) {
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+// Windows lets a server listen on all interfaces even if another
+// process is listening on the same port on 127.0.0.1 and then
+// that process gets the local connections. Check nobody has it.
+async function isLoopbackTaken(port) {
+  const probe = net.createServer();
+  try {
+    await tryListen(probe, port, '127.0.0.1');
+  } catch (e) {
+    return true;
+  }
+  await closeServer(probe);
+  return false;
+}
+
+/**
+ * Listens on the first free port. The server itself is bound
+ * so nothing else can take the port between checking and listening.
+ *
+ * @param {net.Server} server
+ * @param {Object} options
+ * @param {number} [options.port] port to use or to start scanning at
+ * @param {string} [options.host] undefined = all interfaces
+ * @param {boolean|{from: number, to: number}|string} [options.scan] true = try the
+ *     ports after `port`, `{from, to}` = try the ports in that range, 'random' = try
+ *     random ports from 1024 to 65535. Otherwise only `port` is tried.
+ * @param {number} [options.maxAttempts] max ports to try (default 100)
+ * @returns {Promise<number>} the port listened on. Rejects with a PortInUseError if
+ *     not scanning and `port` is in use, a PortsExhaustedError if no port to try was
+ *     free or a PortPermissionError if not allowed to use a port.
+ */
+async function listenOnFreePort(server, options) {
+  const {port = 0, host, scan} = options;
+  const maxAttempts = options.maxAttempts || defaultMaxAttempts;
+  const {from, to, ports} = getCandidates(port, scan, maxAttempts);
+  const checkLoopback = process.platform === 'win32' && isAnyHost(host);
+  for (const candidate of ports) {
+    try {
+      await tryListen(server, candidate, host);
+    } catch (e) {
+      if (e.code === 'EACCES') {
+        throw new PortPermissionError(candidate, host, e);
+      }
+      if (e.code !== 'EADDRINUSE') {
+        throw e;
+      }
+      debug(`port: ${candidate} in use, trying next`);
+      continue;
+    }
+    const listeningPort = server.address().port;
+    if (checkLoopback && listeningPort && await isLoopbackTaken(listeningPort)) {
+      debug(`port: ${listeningPort} in use on 127.0.0.1, trying next`);
+      await closeServer(server);
+      continue;
+    }
+    debug('found port:', listeningPort);
+    return listeningPort;
+  }
+  if (!scan) {
+    throw new PortInUseError(port, host);
+  }
+  throw new PortsExhaustedError(from, to, ports.length);
+}
+
+/**
+ * Finds a free port by listening on it and then closing.
+ * Another process can take the port before it is used so
+ * prefer `getFreePort.listen` which listens with the real server.
+ *
+ * @param {number} port port to start at
+ * @param {string} [host]
+ * @param {Object} [options] `scan` and `maxAttempts` as in `getFreePort.listen` (default scan = true)
+ * @returns {Promise<number>}
+ */
+async function getFreePort(port, host, options = {}) {
+  const server = net.createServer(function() {});
+  const freePort = await listenOnFreePort(server, Object.assign({scan: true}, options, {port, host}));
+  await closeServer(server);
+  return freePort;
+}
+
+getFreePort.listen = listenOnFreePort;
+getFreePort.PortInUseError = PortInUseError;
+getFreePort.PortsExhaustedError = PortsExhaustedError;
+getFreePort.PortPermissionError = PortPermissionError;
 
 module.exports = getFreePort;
@@ -0,0 +1,18 @@
+'use strict';
+
+const picomatch = require('picomatch');
+
+/**
+ * Makes a function that checks if a path, relative to the root with
+ * forward slashes, matches a glob. Globs without a `/` match the
+ * file's name in any folder so `*.js` matches `js/app.js`.
+ *
+ * @param {string} glob
+ * @returns {function(string): boolean}
+ */
+function makeGlobMatcher(glob) {
+  // picomatch's basename option does not match globs that have a `/`
+  return picomatch(glob, {basename: !glob.includes('/'), dot: true});
+}
+
+module.exports = makeGlobMatcher;
@@ -0,0 +1,219 @@
+'use strict';
+
+const path = require('path');
+const parse = require('url').parse;
+const debug = require('debug')('servez:host-rules');
+const proxy = require('./proxy');
+const resolveFile = require('./resolve-file');
+const watchedFile = require('./watched-file');
+
+const commentRE = /^\s*#/;
+const statusRE = /^(\d{3})(!?)$/;
+
+// '/news/:year/*' -> /^\/news\/([^/]+)\/(.*)$/ with names ['year', 'splat']
+function compilePattern(pattern) {
+  const names = [];
+  const source = removeTrailingSlash(pattern)
+    .split(/(:[A-Za-z_]\w*|\*)/)
+    .map((part) => {
+      if (part === '*') {
+        names.push('splat');
+        return '(.*)';
+      }
+      if (part.startsWith(':')) {
+        names.push(part.substring(1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const re = new RegExp(`^${source}$`);
+  return function match(pathname) {
+    const m = re.exec(removeTrailingSlash(pathname));
+    if (!m) {
+      return;
+    }
+    const params = {};
+    names.forEach((name, ndx) => {
+      params[name] = m[ndx + 1];
+    });
+    return params;
+  };
+}
+
+// Netlify treats /foo and /foo/ as the same path
+function removeTrailingSlash(pathname) {
+  return pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+}
+
+function fillPlaceholders(str, params) {
+  return str.replace(/:([A-Za-z_]\w*)/g, (m, name) => params[name] !== undefined ? params[name] : m);
+}
+
+function parseHeadersFile(str) {
+  const rules = [];
+  let rule;
+  for (const line of str.split(/\r?\n/)) {
+    if (!line.trim() || commentRE.test(line)) {
+      continue;
+    }
+    if (!/^\s/.test(line)) {
+      rule = {match: compilePattern(line.trim()), headers: []};
+      rules.push(rule);
+      continue;
+    }
+    const ndx = line.indexOf(':');
+    if (!rule || ndx < 0) {
+      debug('bad _headers line: %s', line);
+      continue;
+    }
+    rule.headers.push([line.substring(0, ndx).trim(), line.substring(ndx + 1).trim()]);
+  }
+  return rules;
+}
+
+// /from [query=:param ...] /to [status[!]] [conditions ...]
+function parseRedirectsFile(str) {
+  const rules = [];
+  for (const line of str.split(/\r?\n/)) {
+    if (!line.trim() || commentRE.test(line)) {
+      continue;
+    }
+    const parts = line.trim().split(/\s+/);
+    const from = parts.shift();
+    const query = [];
+    while (parts.length && parts[0].includes('=') && !parts[0].startsWith('/') && !parts[0].includes('://')) {
+      const [key, value] = parts.shift().split('=');
+      query.push({key, value});
+    }
+    const to = parts.shift();
+    if (!to) {
+      debug('bad _redirects line: %s', line);
+      continue;
+    }
+    const m = statusRE.exec(parts[0] || '');
+    rules.push({
+      match: compilePattern(from),
+      query,
+      to,
+      status: m ? parseInt(m[1]) : 301,
+      force: m ? m[2] === '!' : false,
+    });
+  }
+  return rules;
+}
+
+function matchQuery(rule, searchParams, params) {
+  for (const {key, value} of rule.query) {
+    if (!searchParams.has(key)) {
+      return false;
+    }
+    if (value.startsWith(':')) {
+      params[value.substring(1)] = searchParams.get(key);
+    } else if (searchParams.get(key) !== value) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Applies Netlify style `_headers` and `_redirects` files found in root.
+ * The files are re-read when they change.
+ *
+ * Redirect rules with a 3xx status redirect. Other statuses rewrite,
+ * serving the target with that status, or proxy if the target is
+ * an absolute url. Like Netlify, rules are skipped if a file exists
+ * at the path unless the status ends in `!`.
+ *
+ * @param {string} root folder being served
+ * @param {Object} options
+ * @param {string|false} [options.index] name of index file for folders
+ * @param {string[]} [options.extensions] extensions to try if a path is not a file
+ * @param {function} options.serveFiles middleware used to serve rewrites
+ * @param {function} [options.onProxyError] called with (err, req) when a proxy target can not be reached
+ * @returns {function} middleware with a `getHeaders(url)` method that returns
+ *     the `_headers` headers for a url.
+ */
+function hostRules(root, options) {
+  const getHeaderRules = watchedFile(path.join(root, '_headers'), parseHeadersFile);
+  const getRedirectRules = watchedFile(path.join(root, '_redirects'), parseRedirectsFile);
+  const proxies = new Map();
+
+  function getProxy(origin) {
+    let middleware = proxies.get(origin);
+    if (!middleware) {
+      middleware = proxy({'/': origin}, {onError: options.onProxyError});
+      proxies.set(origin, middleware);
+    }
+    return middleware;
+  }
+
+  function fileExists(pathname) {
+    try {
+      return !!resolveFile(root, decodeURIComponent(pathname), options);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function rewrite(req, res, next, rule, target) {
+    if (/^https?:\/\//.test(target)) {
+      const url = new URL(target);
+      debug('proxying %s to %s', req.url, target);
+      req.url = `${url.pathname}${url.search}`;
+      return getProxy(url.origin)(req, res, next);
+    }
+    debug('rewriting %s to %s [%d]', req.url, target, rule.status);
+    const url = req.url;
+    req.url = target;
+    res.statusCode = rule.status;
+    options.serveFiles(req, res, (err) => {
+      req.url = url;
+      res.statusCode = 200;
+      next(err);
+    });
+  }
+
+  const middleware = function (req, res, next) {
+    const {pathname, query} = parse(req.url);
+    const searchParams = new URLSearchParams(query || '');
+    for (const rule of getRedirectRules()) {
+      const params = rule.match(pathname);
+      if (!params || !matchQuery(rule, searchParams, params)) {
+        continue;
+      }
+      if (!rule.force && fileExists(pathname)) {
+        return next();
+      }
+      let target = fillPlaceholders(rule.to, params);
+      if (query && !rule.query.length && !target.includes('?')) {
+        target = `${target}?${query}`;
+      }
+      if (rule.status >= 300 && rule.status < 400) {
+        debug('redirecting %s to %s [%d]', req.url, target, rule.status);
+        return res.redirect(rule.status, target);
+      }
+      return rewrite(req, res, next, rule, target);
+    }
+    next();
+  };
+
+  middleware.getHeaders = function (url) {
+    const pathname = parse(url).pathname;
+    const headers = {};
+    for (const rule of getHeaderRules()) {
+      if (!rule.match(pathname)) {
+        continue;
+      }
+      for (const [name, value] of rule.headers) {
+        headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+      }
+    }
+    return headers;
+  };
+
+  return middleware;
+}
+
+module.exports = hostRules;
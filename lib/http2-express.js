@@ -0,0 +1,51 @@
+'use strict';
+
+const http2 = require('http2');
+
+// Makes a copy of express's request or response prototype
+// chain that sits on top of `base` instead of the http one.
+function rebase(appProto, base) {
+  const expressProto = Object.getPrototypeOf(appProto);
+  return Object.create(
+      Object.create(base, Object.getOwnPropertyDescriptors(expressProto)),
+      Object.getOwnPropertyDescriptors(appProto));
+}
+
+/**
+ * Express 4 sets the prototypes of each request and response to ones
+ * based on http.IncomingMessage and http.ServerResponse. That breaks
+ * the objects from the HTTP/2 compatibility API so for HTTP/2 requests
+ * this swaps in prototypes based on their classes instead. HTTP/1
+ * requests (allowHTTP1) are passed through as is.
+ *
+ * @param {function} app express app
+ * @returns {function} request handler for `http2.createSecureServer`
+ */
+function http2Express(app) {
+  const http1Protos = {
+    request: app.request,
+    response: app.response,
+  };
+  const http2Protos = {
+    request: rebase(app.request, http2.Http2ServerRequest.prototype),
+    response: rebase(app.response, http2.Http2ServerResponse.prototype),
+  };
+
+  return function (req, res) {
+    if (req.httpVersionMajor !== 2) {
+      return app(req, res);
+    }
+    // express's init middleware reads these synchronously
+    // at the start of handling the request.
+    app.request = http2Protos.request;
+    app.response = http2Protos.response;
+    try {
+      app(req, res);
+    } finally {
+      app.request = http1Protos.request;
+      app.response = http1Protos.response;
+    }
+  };
+}
+
+module.exports = http2Express;
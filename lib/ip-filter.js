@@ -0,0 +1,106 @@
+'use strict';
+
+const net = require('net');
+const debug = require('debug')('servez:ip-filter');
+
+// '::ffff:192.168.1.2' -> '192.168.1.2'
+function normalizeAddress(address) {
+  const m = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address || '');
+  return m ? m[1] : address;
+}
+
+/**
+ * Makes a net.BlockList from addresses and CIDR ranges
+ * like '192.168.1.5', '10.0.0.0/8' or 'fe80::/10'.
+ *
+ * @param {string[]} entries
+ * @returns {net.BlockList}
+ */
+function makeBlockList(entries) {
+  const list = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.trim().split('/');
+    const family = net.isIP(address);
+    if (!family) {
+      throw new Error(`bad address: ${entry}`);
+    }
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      const bits = parseInt(prefix);
+      if (!/^\d+$/.test(prefix) || bits > (family === 4 ? 32 : 128)) {
+        throw new Error(`bad address: ${entry}`);
+      }
+      list.addSubnet(address, bits, type);
+    }
+  }
+  return list;
+}
+
+function contains(list, address) {
+  const family = net.isIP(address);
+  return !!family && list.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Only lets in requests from allowed addresses.
+ * Addresses in `deny` are always rejected. If `allow` is set
+ * only addresses in it are let in.
+ *
+ * @param {Object} options
+ * @param {string[]} [options.allow] addresses and CIDR ranges to allow
+ * @param {string[]} [options.deny] addresses and CIDR ranges to deny
+ * @param {boolean|number} [options.trustProxy] true or number of proxies in front
+ *     of us = use the client address from `X-Forwarded-For`
+ * @param {function} [options.onReject] called with ({address, method, url}) for each rejected request
+ * @returns {function} middleware with a `check(req)` method that returns
+ *     true if the request is allowed.
+ */
+function ipFilter(options) {
+  const allow = options.allow ? makeBlockList(options.allow) : undefined;
+  const deny = makeBlockList(options.deny || []);
+  const hops = options.trustProxy === true ? 1 : (options.trustProxy || 0);
+  const onReject = options.onReject || (() => {});
+
+  function getAddress(req) {
+    const addresses = [normalizeAddress(req.socket.remoteAddress)];
+    if (hops) {
+      const forwardedFor = (req.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(s => normalizeAddress(s.trim()))
+        .filter(s => s);
+      addresses.unshift(...forwardedFor);
+    }
+    // each proxy appends the address it got the request from
+    return addresses[Math.max(0, addresses.length - 1 - hops)];
+  }
+
+  function isAllowed(address) {
+    return !contains(deny, address) && (!allow || contains(allow, address));
+  }
+
+  function check(req) {
+    const address = getAddress(req);
+    if (isAllowed(address)) {
+      return true;
+    }
+    debug('rejected %s %s %s', address, req.method, req.url);
+    onReject({address, method: req.method, url: req.url});
+    return false;
+  }
+
+  const middleware = function (req, res, next) {
+    if (!check(req)) {
+      res.statusCode = 403;
+      return res.end('Forbidden');
+    }
+    next();
+  };
+
+  middleware.check = check;
+
+  return middleware;
+}
+
+module.exports = ipFilter;
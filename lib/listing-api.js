@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const debug = require('debug')('servez:listing-api');
+const resolveFile = require('./resolve-file');
+
+const decodePathname = resolveFile.decodePathname;
+
+const compressedExtensions = [
+  { extension: '.br', encoding: 'br' },
+  { extension: '.gz', encoding: 'gzip' },
+];
+
+const formats = {
+  json: 'json',
+  text: 'text',
+  plain: 'text',
+};
+
+// dirs first, then by name, the same as serve-index
+function fileSort(a, b) {
+  return Number(b.type === 'directory') - Number(a.type === 'directory') ||
+    a.name.toLocaleLowerCase().localeCompare(b.name.toLocaleLowerCase());
+}
+
+function getFormat(req) {
+  const format = req.query && req.query.format;
+  if (format) {
+    return formats[format];
+  }
+  const type = req.accepts(['html', 'json', 'text']);
+  return type === 'html' ? undefined : formats[type];
+}
+
+async function readEntries(dir, hidden) {
+  const names = (await fs.promises.readdir(dir))
+    .filter(name => hidden || !name.startsWith('.'));
+  const nameSet = new Set(names);
+  const entries = await Promise.all(names.map(async (name) => {
+    let stat;
+    try {
+      stat = await fs.promises.stat(path.join(dir, name));
+    } catch (e) {
+      // broken symlink or deleted since readdir
+      return;
+    }
+    const isDir = stat.isDirectory();
+    return {
+      name,
+      type: isDir ? 'directory' : 'file',
+      size: isDir ? 0 : stat.size,
+      mtime: stat.mtime.toISOString(),
+      mimeType: isDir ? null : (mime.lookup(name) || 'application/octet-stream'),
+      compressed: isDir
+        ? []
+        : compressedExtensions
+            .filter(({extension}) => nameSet.has(`${name}${extension}`))
+            .map(({encoding}) => encoding),
+    };
+  }));
+  return entries.filter(entry => entry).sort(fileSort);
+}
+
+function formatText(entries) {
+  return entries
+    .map(entry => `${entry.name}${entry.type === 'directory' ? '/' : ''}\n`)
+    .join('');
+}
+
+/**
+ * Serves directory listings as JSON or plain text when the request
+ * has `?format=json`, `?format=text` or prefers those types in its
+ * Accept header. Everything else is passed on to the HTML listing.
+ *
+ * @param {string} root folder being served
+ * @param {Object} options
+ * @param {boolean} [options.hidden] true = include dotfiles
+ * @returns {function} middleware
+ */
+function listingApi(root, options) {
+  return function (req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const format = getFormat(req);
+    if (!format) {
+      return next();
+    }
+
+    const pathname = decodePathname(req.url);
+    if (pathname === undefined) {
+      return next();
+    }
+    const dir = path.join(root, pathname);
+    if (dir !== root && !dir.startsWith(path.join(root, path.sep))) {
+      return next();
+    }
+
+    fs.stat(dir, (err, stat) => {
+      if (err || !stat.isDirectory()) {
+        return next();
+      }
+      readEntries(dir, options.hidden).then((entries) => {
+        debug('listing %s as %s', dir, format);
+        const body = format === 'json'
+          ? JSON.stringify(entries)
+          : formatText(entries);
+        res.setHeader('Content-Type', format === 'json'
+          ? 'application/json; charset=utf-8'
+          : 'text/plain; charset=utf-8');
+        res.setHeader('Content-Length', Buffer.byteLength(body));
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.end(req.method === 'HEAD' ? undefined : body);
+      }).catch(next);
+    });
+  };
+}
+
+module.exports = listingApi;
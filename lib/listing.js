@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const escapeHtml = require('escape-html');
+const markdown = require('./markdown');
 
 const normalizeSlashes = (function() {
   const backslashRE = /\\/g;
@@ -59,34 +60,67 @@ function createHtmlFileList(files, dir) {
   }</table>`;
 }
 
-function htmlPath(dir) {
+// The folders above a mount might not exist so the
+// mount's path is a single link.
+function htmlPath(dir, mountPath = '/') {
+  var names = dir.split('/');
   var parts = dir.split('/');
-  var crumb = new Array(parts.length);
+  var mountDepth = mountPath.split('/').filter(Boolean).length;
+  var crumb = [];
 
   for (var i = 0; i < parts.length; i++) {
     var part = parts[i];
 
-    if (part) {
+    if (!part) {
+      crumb.push(undefined);
+    } else {
       parts[i] = encodeURIComponent(part);
-      crumb[i] = '<a href="' + escapeHtml(parts.slice(0, i + 1).join('/')) + '">' + escapeHtml(part) + '</a>';
+      if (i < mountDepth) {
+        continue;
+      }
+      var name = i === mountDepth ? names.slice(1, i + 1).join('/') : part;
+      crumb.push('<a href="' + escapeHtml(parts.slice(0, i + 1).join('/')) + '">' + escapeHtml(name) + '</a>');
     }
   }
 
   return crumb.join(' / ');
 }
 
+// The README's html is put in a script and added by JavaScript
+// because Kodi would see its links as files.
+function createReadme(dir, fileList) {
+  const name = markdown.findReadme(fileList.map(file => file.name));
+  if (!name) {
+    return '';
+  }
+  let html;
+  try {
+    html = markdown.render(fs.readFileSync(path.join(dir, name), 'utf8'));
+  } catch (e) {
+    return '';
+  }
+  // escape < so nothing in it can end the script
+  return `<script type="application/json" id="readme-html">${JSON.stringify(html).replace(/</g, '\\u003c')}</script>`;
+}
+
 const template = path.join(__dirname, '..', 'src', 'listing.html');
 
-module.exports = function createHtmlRender() {
+module.exports = function createHtmlRender(options = {}) {
   return function render(locals, callback) {
     // read template
     fs.readFile(template, 'utf8', function (err, str) {
       if (err) return callback(err);
 
+      var readme = options.markdown ? createReadme(locals.path, locals.fileList) : '';
+
       var body = str
         .replace(/\{files\}/g, createHtmlFileList(locals.fileList, locals.directory, locals.displayIcons, locals.viewName))
         .replace(/\{directory\}/g, escapeHtml(locals.directory))
-        .replace(/\{linked-path\}/g, htmlPath(locals.directory));
+        .replace(/\{linked-path\}/g, htmlPath(locals.directory, options.mountPath))
+        .replace(/\{writable\}/g, options.writable ? 'true' : 'false')
+        // last so nothing in the README is replaced
+        .replace(/\{markdown-style\}/g, function () { return readme ? markdown.getStyle() : ''; })
+        .replace(/\{readme\}/g, function () { return readme; });
 
       callback(null, body);
     });
@@ -0,0 +1,260 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const parse = require('url').parse;
+const debug = require('debug')('servez:live-reload');
+const resolveFile = require('./resolve-file');
+
+const eventsPath = '/__servez/live-reload';
+const htmlExtensions = ['.html', '.htm'];
+
+// This is injected into every HTML page. CSS changes swap the matching
+// stylesheets in place, anything else reloads the page.
+const clientScript = `
+<script>
+"use strict";
+(function() {
+  function refreshStylesheets(paths) {
+    const links = [...document.querySelectorAll('link[rel="stylesheet"]')];
+    const matching = links.filter(link => paths.includes(new URL(link.href).pathname));
+    for (const link of matching.length ? matching : links) {
+      const url = new URL(link.href);
+      url.searchParams.set('servez-reload', Date.now());
+      link.href = url.href;
+    }
+  }
+  const source = new EventSource('${eventsPath}');
+  source.addEventListener('message', function(e) {
+    const change = JSON.parse(e.data);
+    if (change.reload) {
+      location.reload();
+    } else {
+      refreshStylesheets(change.css);
+    }
+  });
+}());
+</script>
+`;
+
+function injectScript(html) {
+  const ndx = html.search(/<\/body>(?![\s\S]*<\/body>)/i);
+  return ndx >= 0
+    ? html.substring(0, ndx) + clientScript + html.substring(ndx)
+    : html + clientScript;
+}
+
+const isHidden = resolveFile.isHidden;
+const decodePathname = resolveFile.decodePathname;
+
+function isHtml(filename) {
+  return htmlExtensions.includes(path.extname(filename).toLowerCase());
+}
+
+function watch(dir, options, callback) {
+  const watcher = fs.watch(dir, options, callback);
+  watcher.on('error', (err) => {
+    debug('watch error: %s: %s', dir, err);
+  });
+  watcher.unref();
+  return watcher;
+}
+
+// Calls callback with the path, relative to root, of each file that changes.
+// Recursive watching is not available on Linux before node 19.1 so there we
+// fall back to watching each folder.
+function watchTree(root, callback) {
+  try {
+    return watch(root, {recursive: true}, (eventType, filename) => {
+      if (filename) {
+        callback(filename);
+      }
+    });
+  } catch (e) {
+    if (e.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+      throw e;
+    }
+  }
+
+  const watchers = new Map();
+
+  function watchDir(relDir) {
+    if (watchers.has(relDir)) {
+      return;
+    }
+    const dir = path.join(root, relDir);
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, {withFileTypes: true});
+    } catch (e) {
+      return;
+    }
+    watchers.set(relDir, watch(dir, {}, (eventType, name) => {
+      if (!name) {
+        return;
+      }
+      const filename = path.join(relDir, name);
+      try {
+        if (fs.statSync(path.join(root, filename)).isDirectory()) {
+          watchDir(filename);
+        }
+      } catch (e) {
+        // it was deleted
+      }
+      callback(filename);
+    }));
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) {
+        watchDir(path.join(relDir, entry.name));
+      }
+    }
+  }
+
+  watchDir('');
+
+  return {
+    close() {
+      for (const watcher of watchers.values()) {
+        watcher.close();
+      }
+      watchers.clear();
+    },
+  };
+}
+
+/**
+ * Tells connected browsers about changes via server sent events.
+ * Use `inject` to watch a folder and inject a script into its
+ * HTML pages so they listen for those events.
+ *
+ * @param {Object} [options]
+ * @param {function} [options.onChange] called with ({path, filename, type}) for each changed file
+ * @returns {function} middleware that serves the events with `inject` and `close` methods
+ */
+function liveReload(options = {}) {
+  const onChange = options.onChange || (() => {});
+  const clients = new Set();
+  const watchers = [];
+  let pending = new Map();
+  let timeoutId;
+
+  function flush() {
+    timeoutId = undefined;
+    const changes = [...pending];
+    pending = new Map();
+
+    const paths = changes.map(([pathname]) => pathname);
+    const css = paths.filter(p => path.extname(p).toLowerCase() === '.css');
+    const change = {
+      reload: css.length !== paths.length,
+      css,
+    };
+    debug('changed: %o', paths);
+    for (const [pathname, filename] of changes) {
+      onChange({
+        path: pathname,
+        filename,
+        type: change.reload ? 'reload' : 'css',
+      });
+    }
+    const msg = `data: ${JSON.stringify(change)}\n\n`;
+    for (const res of clients) {
+      res.write(msg);
+    }
+  }
+
+  function handleEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.write('retry: 1000\n\n');
+    clients.add(res);
+    req.on('close', () => {
+      clients.delete(res);
+    });
+  }
+
+  const middleware = function (req, res, next) {
+    if (req.method !== 'GET' || parse(req.url).pathname !== eventsPath) {
+      return next();
+    }
+    handleEvents(req, res);
+  };
+
+  /**
+   * Watches root for changes and makes middleware that injects
+   * the script into HTML pages under root.
+   *
+   * @param {string} root folder being served
+   * @param {Object} options
+   * @param {string} [options.mountPath] url path root is served at (default '/')
+   * @param {string|false} [options.index] name of index file for folders
+   * @param {string[]} [options.extensions] extensions to try if a path is not a file
+   * @param {function} [options.setHeaders] called with (res, path, stat) before sending
+   * @returns {function} middleware
+   */
+  middleware.inject = function (root, options) {
+    const setHeaders = options.setHeaders;
+    const mountPath = (options.mountPath || '/').replace(/\/$/, '');
+
+    watchers.push(watchTree(root, (filename) => {
+      const pathname = `/${filename.split(path.sep).join('/')}`;
+      if (isHidden(pathname)) {
+        return;
+      }
+      pending.set(`${mountPath}${pathname}`, path.join(root, filename));
+      // Editors often write several times per save so batch them up.
+      if (!timeoutId) {
+        timeoutId = setTimeout(flush, 100);
+      }
+    }));
+
+    return function (req, res, next) {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return next();
+      }
+
+      const pathname = decodePathname(req.url);
+      if (pathname === undefined) {
+        return next();
+      }
+
+      const file = resolveFile(root, pathname, options);
+      if (!file || !isHtml(file.filename)) {
+        return next();
+      }
+
+      fs.readFile(file.filename, 'utf8', (err, html) => {
+        if (err) {
+          return next(err);
+        }
+        debug('injecting into %s', file.filename);
+        const body = injectScript(html);
+        res.setHeader('Content-Type', 'text/html; charset=UTF-8');
+        res.setHeader('Content-Length', Buffer.byteLength(body));
+        if (setHeaders) {
+          setHeaders(res, file.filename, file.stat);
+        }
+        res.end(req.method === 'HEAD' ? undefined : body);
+      });
+    };
+  };
+
+  middleware.close = function () {
+    clearTimeout(timeoutId);
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+    watchers.length = 0;
+    for (const res of clients) {
+      res.end();
+    }
+    clients.clear();
+  };
+
+  return middleware;
+}
+
+module.exports = liveReload;
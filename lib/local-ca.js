@@ -0,0 +1,197 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+const debug = require('debug')('servez:local-ca');
+
+const dayMs = 1000 * 60 * 60 * 24;
+const caDays = 365 * 10;
+const leafDays = 30;
+// renew certs with less than this left
+const renewMs = 7 * dayMs;
+
+const caKeyFilename = 'servez-ca.key.pem';
+const caCertFilename = 'servez-ca.pem';
+const leafFilename = 'servez-cert.json';
+
+function generateKeys() {
+  const {privateKey, publicKey} = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+  return {
+    privateKey: forge.pki.privateKeyFromPem(privateKey.export({type: 'pkcs1', format: 'pem'})),
+    publicKey: forge.pki.publicKeyFromPem(publicKey.export({type: 'spki', format: 'pem'})),
+  };
+}
+
+function makeCert(publicKey, days) {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = publicKey;
+  // positive, so first byte < 0x80
+  cert.serialNumber = `01${crypto.randomBytes(15).toString('hex')}`;
+  // a day early in case clocks disagree
+  cert.validity.notBefore = new Date(Date.now() - dayMs);
+  cert.validity.notAfter = new Date(Date.now() + days * dayMs);
+  return cert;
+}
+
+function expiresSoon(pem) {
+  return new Date(new crypto.X509Certificate(pem).validTo).getTime() - Date.now() < renewMs;
+}
+
+function readFileIfExists(filename) {
+  try {
+    return fs.readFileSync(filename, 'utf8');
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function createCA() {
+  const keys = generateKeys();
+  const cert = makeCert(keys.publicKey, caDays);
+  const attrs = [
+    {name: 'commonName', value: `servez local CA (${os.hostname()})`},
+    {name: 'organizationName', value: 'servez'},
+  ];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.setExtensions([
+    {name: 'basicConstraints', cA: true, pathLenConstraint: 0, critical: true},
+    {name: 'keyUsage', keyCertSign: true, cRLSign: true, critical: true},
+    {name: 'subjectKeyIdentifier'},
+  ]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+  return {
+    key: forge.pki.privateKeyToPem(keys.privateKey),
+    cert: forge.pki.certificateToPem(cert),
+  };
+}
+
+function createLeaf(ca, names) {
+  const caKey = forge.pki.privateKeyFromPem(ca.key);
+  const caCert = forge.pki.certificateFromPem(ca.cert);
+  const keys = generateKeys();
+  const cert = makeCert(keys.publicKey, leafDays);
+  cert.setSubject([{name: 'commonName', value: names[0]}]);
+  cert.setIssuer(caCert.subject.attributes);
+  cert.setExtensions([
+    {name: 'basicConstraints', cA: false},
+    {name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true},
+    {name: 'extKeyUsage', serverAuth: true},
+    {name: 'subjectAltName', altNames: names.map(name => net.isIP(name)
+      ? {type: 7, ip: name}   // IP
+      : {type: 2, value: name}  // DNS
+    )},
+    {name: 'subjectKeyIdentifier'},
+    {name: 'authorityKeyIdentifier', keyIdentifier: caCert.generateSubjectKeyIdentifier().getBytes()},
+  ]);
+  cert.sign(caKey, forge.md.sha256.create());
+  return {
+    key: forge.pki.privateKeyToPem(keys.privateKey),
+    cert: forge.pki.certificateToPem(cert),
+  };
+}
+
+/**
+ * Gets the local root CA from dataDir, making it if it doesn't exist
+ * or is about to expire. Users can trust it once instead of trusting
+ * each cert.
+ *
+ * @param {string} dataDir
+ * @returns {{key: string, cert: string}} PEM encoded
+ */
+function getCA(dataDir) {
+  if (!dataDir) {
+    throw new Error("dataDir not set");
+  }
+  const keyFilename = path.join(dataDir, caKeyFilename);
+  const certFilename = path.join(dataDir, caCertFilename);
+  const key = readFileIfExists(keyFilename);
+  const cert = readFileIfExists(certFilename);
+  if (key && cert && !expiresSoon(cert)) {
+    return {key, cert};
+  }
+  debug(`creating local CA: ${certFilename}`);
+  const ca = createCA();
+  fs.mkdirSync(dataDir, {recursive: true});
+  fs.writeFileSync(keyFilename, ca.key, {mode: 0o600});
+  fs.writeFileSync(certFilename, ca.cert);
+  return ca;
+}
+
+/**
+ * Gets the local CA's cert for installing on devices.
+ *
+ * @param {string} dataDir
+ * @param {string} [format] 'pem' or 'der' (default 'pem')
+ * @returns {string|Buffer} string for pem, Buffer for der
+ */
+function exportCA(dataDir, format = 'pem') {
+  const {cert} = getCA(dataDir);
+  switch (format) {
+    case 'pem':
+      return cert;
+    case 'der':
+      return new crypto.X509Certificate(cert).raw;
+    default:
+      throw new Error(`unknown CA format: ${format}`);
+  }
+}
+
+/**
+ * The names a cert should cover: localhost, the addresses of
+ * this machine's network interfaces and any extra hostnames.
+ *
+ * @param {string[]} [hostnames] extra hostnames
+ * @returns {string[]}
+ */
+function getHostnames(hostnames = []) {
+  const names = ['localhost', 'localhost.localdomain', 'lvh.me', '*.lvh.me', '127.0.0.1', '::1'];
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const {address} of addresses) {
+      names.push(address);
+    }
+  }
+  names.push(...hostnames);
+  return [...new Set(names)];
+}
+
+/**
+ * Gets a short lived cert for `names` issued by the local CA, making
+ * a new one if the names or CA changed or the cached one is about to expire.
+ *
+ * @param {string} dataDir
+ * @param {string[]} names hostnames and ip addresses to cover
+ * @returns {{key: string, cert: string}} PEM encoded
+ */
+function getLocalCert(dataDir, names) {
+  const ca = getCA(dataDir);
+  const caFingerprint = new crypto.X509Certificate(ca.cert).fingerprint256;
+  const filename = path.join(dataDir, leafFilename);
+  let cached;
+  try {
+    cached = JSON.parse(readFileIfExists(filename));
+  } catch (e) {
+    // missing or corrupt
+  }
+  if (cached &&
+      cached.ca === caFingerprint &&
+      cached.names.join(',') === names.join(',') &&
+      !expiresSoon(cached.cert)) {
+    return {key: cached.key, cert: cached.cert};
+  }
+  debug(`creating cert for ${names.join(', ')}`);
+  const leaf = createLeaf(ca, names);
+  fs.writeFileSync(filename, JSON.stringify(Object.assign({ca: caFingerprint, names}, leaf)), {mode: 0o600});
+  return leaf;
+}
+
+getLocalCert.getCA = getCA;
+getLocalCert.exportCA = exportCA;
+getLocalCert.getHostnames = getHostnames;
+getLocalCert.caCertFilename = caCertFilename;
+
+module.exports = getLocalCert;
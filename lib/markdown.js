@@ -0,0 +1,166 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const parse = require('url').parse;
+const {Marked} = require('marked');
+const hljs = require('highlight.js');
+const escapeHtml = require('escape-html');
+const debug = require('debug')('servez:markdown');
+const resolveFile = require('./resolve-file');
+
+const decodePathname = resolveFile.decodePathname;
+
+const markdownExtRE = /\.(md|markdown)$/i;
+const readmeRE = /^readme\.(md|markdown)$/i;
+const template = path.join(__dirname, '..', 'src', 'markdown.html');
+
+let style;
+
+/**
+ * Gets the css for rendered markdown including code highlighting
+ * for light and dark mode.
+ *
+ * @returns {string}
+ */
+function getStyle() {
+  if (!style) {
+    const read = name => fs.readFileSync(require.resolve(`highlight.js/styles/${name}`), 'utf8');
+    style = [
+      fs.readFileSync(path.join(__dirname, '..', 'src', 'markdown.css'), 'utf8'),
+      read('github.css'),
+      `@media (prefers-color-scheme: dark) {\n${read('github-dark.css')}\n}`,
+    ].join('\n');
+  }
+  return style;
+}
+
+// Like GitHub, 'Hello, World!' -> 'hello-world' with -1, -2 added to repeats
+function makeSlugger() {
+  const counts = new Map();
+  return function slug(html) {
+    const base = html
+      .replace(/<[^>]*>/g, '')
+      .replace(/&[#a-z0-9]+;/gi, '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-');
+    const count = counts.get(base) || 0;
+    counts.set(base, count + 1);
+    return count ? `${base}-${count}` : base;
+  };
+}
+
+/**
+ * Renders GitHub flavored markdown to html with heading anchors
+ * and highlighted code.
+ *
+ * @param {string} source
+ * @returns {string} html
+ */
+function renderMarkdown(source) {
+  const slug = makeSlugger();
+  const marked = new Marked({
+    gfm: true,
+    renderer: {
+      heading({tokens, depth}) {
+        const html = this.parser.parseInline(tokens);
+        const id = escapeHtml(slug(html));
+        return `<h${depth} id="${id}"><a class="anchor" href="#${id}" aria-hidden="true">#</a>${html}</h${depth}>\n`;
+      },
+      code({text, lang}) {
+        const language = (lang || '').split(/\s/)[0];
+        const html = language && hljs.getLanguage(language)
+          ? hljs.highlight(text, {language, ignoreIllegals: true}).value
+          : escapeHtml(text);
+        const className = language ? `hljs language-${escapeHtml(language)}` : 'hljs';
+        return `<pre><code class="${className}">${html}</code></pre>\n`;
+      },
+    },
+  });
+  return marked.parse(source);
+}
+
+/**
+ * Finds a README.md in a list of file names.
+ *
+ * @param {string[]} names
+ * @returns {string|undefined}
+ */
+function findReadme(names) {
+  return names.find(name => readmeRE.test(name));
+}
+
+/**
+ * Serves markdown files as html to browsers. Add `?raw` to get the file.
+ * Other clients get the file unless they ask for html.
+ *
+ * @param {string} root folder being served
+ * @param {Object} [options]
+ * @param {function} [options.setHeaders] called with (res, path, stat) before sending
+ * @returns {function} middleware
+ */
+function markdown(root, options = {}) {
+  const setHeaders = options.setHeaders;
+
+  return function (req, res, next) {
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || req.query.raw !== undefined) {
+      return next();
+    }
+
+    const pathname = decodePathname(req.url);
+    if (pathname === undefined) {
+      return next();
+    }
+    if (!markdownExtRE.test(pathname) || req.accepts(['text/markdown', 'html']) !== 'html') {
+      return next();
+    }
+
+    const file = resolveFile(root, pathname, {});
+    if (!file) {
+      return next();
+    }
+
+    const {filename, stat} = file;
+    res.setHeader('Vary', 'Accept');
+    res.setHeader('ETag', `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}-html"`);
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+    if (setHeaders) {
+      setHeaders(res, filename, stat);
+    }
+    if (req.fresh) {
+      res.statusCode = 304;
+      return res.end();
+    }
+
+    fs.readFile(template, 'utf8', (err, str) => {
+      if (err) {
+        return next(err);
+      }
+      fs.readFile(filename, 'utf8', (err, source) => {
+        if (err) {
+          return next(err);
+        }
+        debug('rendering %s', filename);
+        const url = parse(req.url);
+        const rawUrl = `${url.pathname}?${url.query ? `${url.query}&` : ''}raw`;
+        const body = str
+          .replace(/\{title\}/g, () => escapeHtml(path.basename(filename)))
+          .replace(/\{raw-url\}/g, () => escapeHtml(rawUrl))
+          .replace(/\{markdown-style\}/g, getStyle)
+          .replace(/\{content\}/g, () => renderMarkdown(source));
+        const buffer = Buffer.from(body);
+        res.setHeader('Content-Type', 'text/html; charset=utf-8');
+        res.setHeader('Content-Length', buffer.length);
+        res.end(req.method === 'HEAD' ? undefined : buffer);
+      });
+    });
+  };
+}
+
+markdown.render = renderMarkdown;
+markdown.findReadme = findReadme;
+markdown.getStyle = getStyle;
+
+module.exports = markdown;
@@ -0,0 +1,158 @@
+'use strict';
+
+// seconds
+const latencyBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value)
+    .replaceAll('\\', '\\\\')
+    .replaceAll('"', '\\"')
+    .replaceAll('\n', '\\n');
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function increment(obj, key, amount = 1) {
+  obj[key] = (obj[key] || 0) + amount;
+}
+
+/**
+ * Collects request counts, bytes, latencies, compression, connections
+ * and throttling for `getStats` and the metrics endpoint.
+ */
+function createMetrics() {
+  const startTime = Date.now();
+  const requests = new Map();  // `${method} ${status}` -> count
+  const compression = {};
+  const bucketCounts = latencyBuckets.map(() => 0);
+  let latencySum = 0;
+  let latencyCount = 0;
+  let bytesSent = 0;
+  let activeConnections = 0;
+  let totalConnections = 0;
+  let throttledResponses = 0;
+  let throttledBytes = 0;
+  let throttledSeconds = 0;
+
+  /**
+   * @param {Object} record an access log record
+   */
+  function addRequest(record) {
+    const key = `${record.method} ${record.status}`;
+    requests.set(key, (requests.get(key) || 0) + 1);
+    bytesSent += record.bytes;
+    const seconds = record.duration / 1000;
+    latencySum += seconds;
+    ++latencyCount;
+    latencyBuckets.forEach((le, ndx) => {
+      if (seconds <= le) {
+        ++bucketCounts[ndx];
+      }
+    });
+    if (record.encoding) {
+      increment(compression, record.encoding);
+    }
+  }
+
+  function addConnection(socket) {
+    ++activeConnections;
+    ++totalConnections;
+    socket.once('close', () => {
+      --activeConnections;
+    });
+  }
+
+  /**
+   * @param {number} bytes body bytes of a throttled response
+   * @param {number} duration milliseconds it took to send them
+   */
+  function addThrottled(bytes, duration) {
+    ++throttledResponses;
+    throttledBytes += bytes;
+    throttledSeconds += duration / 1000;
+  }
+
+  function getStats() {
+    const byStatus = {};
+    const byMethod = {};
+    let total = 0;
+    for (const [key, count] of requests) {
+      const [method, status] = key.split(' ');
+      increment(byMethod, method, count);
+      increment(byStatus, status, count);
+      total += count;
+    }
+    return {
+      startTime: new Date(startTime),
+      uptime: (Date.now() - startTime) / 1000,
+      requests: {total, byStatus, byMethod},
+      bytesSent,
+      latency: {
+        buckets: latencyBuckets.map((le, ndx) => ({le, count: bucketCounts[ndx]})),
+        sum: latencySum,
+        count: latencyCount,
+      },
+      compression: Object.assign({}, compression),
+      connections: {
+        active: activeConnections,
+        total: totalConnections,
+      },
+      throttle: {
+        responses: throttledResponses,
+        bytes: throttledBytes,
+        seconds: throttledSeconds,
+        // effective throughput of throttled responses
+        bytesPerSecond: throttledSeconds ? throttledBytes / throttledSeconds : 0,
+      },
+    };
+  }
+
+  function toPrometheus() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      for (const [labels, value, suffix = ''] of samples) {
+        lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+      }
+    };
+
+    metric('servez_requests_total', 'counter', 'Requests by method and status.',
+        [...requests].map(([key, count]) => {
+          const [method, status] = key.split(' ');
+          return [{method, status}, count];
+        }));
+    metric('servez_response_bytes_total', 'counter', 'Response body bytes sent.',
+        [[{}, bytesSent]]);
+    metric('servez_request_duration_seconds', 'histogram', 'Time to finish responses.', [
+      ...latencyBuckets.map((le, ndx) => [{le}, bucketCounts[ndx], '_bucket']),
+      [{le: '+Inf'}, latencyCount, '_bucket'],
+      [{}, latencySum, '_sum'],
+      [{}, latencyCount, '_count'],
+    ]);
+    metric('servez_compressed_responses_total', 'counter', 'Compressed responses by encoding.',
+        Object.entries(compression).map(([encoding, count]) => [{encoding}, count]));
+    metric('servez_throttled_bytes_total', 'counter', 'Body bytes sent by throttled responses.',
+        [[{}, throttledBytes]]);
+    metric('servez_throttled_seconds_total', 'counter', 'Time spent sending throttled responses.',
+        [[{}, throttledSeconds]]);
+    metric('servez_active_connections', 'gauge', 'Open connections.',
+        [[{}, activeConnections]]);
+    metric('servez_uptime_seconds', 'gauge', 'Seconds since the server was created.',
+        [[{}, (Date.now() - startTime) / 1000]]);
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {
+    addRequest,
+    addConnection,
+    addThrottled,
+    getStats,
+    toPrometheus,
+  };
+}
+
+module.exports = createMetrics;
@@ -0,0 +1,209 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const stream = require('stream');
+const debug = require('debug')('servez:proxy');
+
+// These apply to a single connection so they must not be forwarded.
+const hopByHopHeaders = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+];
+
+// Also removes HTTP/2 pseudo headers like ':path' which http.request rejects.
+function removeHopByHopHeaders(headers) {
+  const result = Object.assign({}, headers);
+  for (const name of Object.keys(result)) {
+    if (name.startsWith(':') || hopByHopHeaders.includes(name)) {
+      delete result[name];
+    }
+  }
+  return result;
+}
+
+// HTTP/2 requests have ':authority' instead of 'host'
+function getHost(req) {
+  return req.headers.host || req.headers[':authority'];
+}
+
+function matchesPrefix(url, prefix) {
+  if (!url.startsWith(prefix)) {
+    return false;
+  }
+  if (prefix.endsWith('/') || url.length === prefix.length) {
+    return true;
+  }
+  return '/?#'.includes(url[prefix.length]);
+}
+
+function isEncrypted(req) {
+  return !!req.socket.encrypted;
+}
+
+/**
+ * Forwards requests whose path starts with a prefix to another server.
+ * The full path is forwarded so with `{'/api': 'http://localhost:3000'}`
+ * a request for `/api/users` goes to `http://localhost:3000/api/users`.
+ *
+ * @param {Object.<string, string>} routes map of url prefixes to target origins
+ * @param {Object} [options]
+ * @param {function} [options.onError] called with (err, req) when the target can not be reached
+ * @returns {function} middleware with an `upgrade(req, socket, head)` method for websockets
+ *     that returns false if the request does not match a route.
+ */
+function proxy(routes, options = {}) {
+  const onError = options.onError || (() => {});
+  const targets = Object.entries(routes)
+    .map(([prefix, target]) => ({prefix, target: new URL(target)}))
+    // longest first so '/api/v2' wins over '/api'
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  function findTarget(url) {
+    const route = targets.find(route => matchesPrefix(url, route.prefix));
+    return route ? route.target : undefined;
+  }
+
+  function makeRequestOptions(req, target, headers) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const remoteAddress = req.socket.remoteAddress;
+    return {
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      method: req.method,
+      path: `${target.pathname.replace(/\/$/, '')}${req.url}`,
+      headers: Object.assign(headers, {
+        'host': target.host,
+        'x-forwarded-for': forwardedFor ? `${forwardedFor}, ${remoteAddress}` : remoteAddress,
+        'x-forwarded-host': getHost(req),
+        'x-forwarded-proto': isEncrypted(req) ? 'https' : 'http',
+      }),
+    };
+  }
+
+  function getTransport(target) {
+    return target.protocol === 'https:' ? https : http;
+  }
+
+  // If the target redirects to itself send the browser back through us.
+  function rewriteLocation(location, req, target) {
+    let url;
+    try {
+      url = new URL(location);
+    } catch (e) {
+      // relative urls are fine as is
+      return location;
+    }
+    if (url.origin !== target.origin) {
+      return location;
+    }
+    const protocol = isEncrypted(req) ? 'https:' : 'http:';
+    return `${protocol}//${getHost(req)}${url.pathname}${url.search}${url.hash}`;
+  }
+
+  const middleware = function (req, res, next) {
+    const target = findTarget(req.url);
+    if (!target) {
+      return next();
+    }
+
+    debug('proxying %s %s to %s', req.method, req.url, target.origin);
+    const requestOptions = makeRequestOptions(req, target, removeHopByHopHeaders(req.headers));
+    const proxyReq = getTransport(target).request(requestOptions, (proxyRes) => {
+      const headers = removeHopByHopHeaders(proxyRes.headers);
+      if (headers.location) {
+        headers.location = rewriteLocation(headers.location, req, target);
+      }
+      if (req.httpVersionMajor === 2) {
+        // HTTP/2 has no status messages
+        res.writeHead(proxyRes.statusCode, headers);
+      } else {
+        res.writeHead(proxyRes.statusCode, proxyRes.statusMessage, headers);
+      }
+      // pipe would leave the client waiting if the target dies mid response
+      stream.pipeline(proxyRes, res, (err) => {
+        if (err) {
+          debug('proxy response error: %s', err);
+          res.destroy(err);
+        }
+      });
+    });
+    proxyReq.on('error', (err) => {
+      debug('proxy error: %s', err);
+      onError(err, req);
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      res.statusCode = 502;
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(`Bad Gateway: ${target.origin} ${err.code || err.message}`);
+    });
+    req.on('aborted', () => {
+      proxyReq.destroy();
+    });
+    req.pipe(proxyReq);
+  };
+
+  middleware.upgrade = function (req, socket, head) {
+    const target = findTarget(req.url);
+    if (!target) {
+      return false;
+    }
+
+    debug('proxying upgrade %s to %s', req.url, target.origin);
+    const headers = Object.assign(removeHopByHopHeaders(req.headers), {
+      'connection': 'Upgrade',
+      'upgrade': req.headers.upgrade,
+    });
+    const proxyReq = getTransport(target).request(makeRequestOptions(req, target, headers));
+
+    const writeHead = (statusCode, statusMessage, rawHeaders) => {
+      const lines = [`HTTP/1.1 ${statusCode} ${statusMessage}`];
+      for (let i = 0; i < rawHeaders.length; i += 2) {
+        lines.push(`${rawHeaders[i]}: ${rawHeaders[i + 1]}`);
+      }
+      socket.write(`${lines.join('\r\n')}\r\n\r\n`);
+    };
+
+    proxyReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+      writeHead(101, proxyRes.statusMessage || 'Switching Protocols', proxyRes.rawHeaders);
+      if (proxyHead.length) {
+        socket.write(proxyHead);
+      }
+      if (head.length) {
+        proxySocket.write(head);
+      }
+      proxySocket.on('error', () => socket.destroy());
+      proxySocket.on('close', () => socket.destroy());
+      socket.on('error', () => proxySocket.destroy());
+      socket.on('close', () => proxySocket.destroy());
+      proxySocket.pipe(socket).pipe(proxySocket);
+    });
+    // the target refused to upgrade
+    proxyReq.on('response', (proxyRes) => {
+      proxyRes.resume();
+      writeHead(proxyRes.statusCode, proxyRes.statusMessage, ['Connection', 'close']);
+      socket.end();
+    });
+    proxyReq.on('error', (err) => {
+      debug('proxy upgrade error: %s', err);
+      onError(err, req);
+      socket.destroy();
+    });
+    proxyReq.end();
+    return true;
+  };
+
+  return middleware;
+}
+
+module.exports = proxy;
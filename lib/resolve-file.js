@@ -0,0 +1,73 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const parse = require('url').parse;
+
+function isHidden(pathname) {
+  return pathname.split('/').some(part => part.startsWith('.'));
+}
+
+function isInside(filename, dir) {
+  return filename === dir || filename.startsWith(dir.endsWith(path.sep) ? dir : `${dir}${path.sep}`);
+}
+
+// The decoded pathname of a request url or undefined if it can't be decoded.
+function decodePathname(url) {
+  try {
+    return decodeURIComponent(parse(url).pathname);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function statFile(filename) {
+  try {
+    const stat = fs.statSync(filename);
+    return stat.isFile() ? stat : undefined;
+  } catch (e) {
+    // file probably didn't exist
+  }
+}
+
+/**
+ * Finds the file express.static would serve for a decoded url pathname.
+ *
+ * @param {string} root folder being served
+ * @param {string} pathname decoded pathname of the request
+ * @param {Object} options
+ * @param {string|false} [options.index] name of index file for folders
+ * @param {string[]} [options.extensions] extensions to try if a path is not a file
+ * @returns {{filename: string, stat: fs.Stats}|undefined}
+ */
+function resolveFile(root, pathname, options) {
+  const filename = path.join(root, pathname);
+  if (!filename.startsWith(path.join(root, path.sep)) || isHidden(pathname)) {
+    return;
+  }
+  if (pathname.endsWith('/')) {
+    if (options.index) {
+      const indexFilename = path.join(filename, options.index);
+      const stat = statFile(indexFilename);
+      return stat ? {filename: indexFilename, stat} : undefined;
+    }
+    return;
+  }
+  const stat = statFile(filename);
+  if (stat) {
+    return {filename, stat};
+  }
+  for (const ext of options.extensions || []) {
+    const extFilename = `${filename}.${ext}`;
+    const extStat = statFile(extFilename);
+    if (extStat) {
+      return {filename: extFilename, stat: extStat};
+    }
+  }
+}
+
+resolveFile.isHidden = isHidden;
+resolveFile.isInside = isInside;
+resolveFile.decodePathname = decodePathname;
+
+module.exports = resolveFile;
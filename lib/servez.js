@@ -24,6 +24,7 @@ CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE SOFTWARE.
 'use strict';
 
 const express = require('express');
+const basicAuth = require('basic-auth');
 const cors = require('cors');
 const serveIndex = require('serve-index');
 const path = require('path');
@@ -32,13 +33,32 @@ const enableDestroy = require('server-destroy');
 const debug = require('debug')('servez');
 const EventEmitter = require('events');
 const compression = require('./compression');
-const auth = require('basic-auth');
-const secureCompare = require('secure-compare');
+const autoCompression = require('./auto-compression');
+const liveReload = require('./live-reload');
+const spa = require('./spa');
+const proxy = require('./proxy');
+const hostRules = require('./host-rules');
+const authorization = require('./authorization');
+const ipFilter = require('./ip-filter');
+const throttle = require('./throttle');
+const faultInjection = require('./faults');
 const http = require('http');
 const https = require('https');
+const http2 = require('http2');
+const http2Express = require('./http2-express');
 const os = require('os');
-const selfsigned = require('selfsigned');
+const net = require('net');
+const getLocalCert = require('./local-ca');
 const createHtmlRender = require('./listing');
+const listingApi = require('./listing-api');
+const download = require('./download');
+const writable = require('./writable');
+const webdav = require('./webdav');
+const accessLog = require('./access-log');
+const createMetrics = require('./metrics');
+const createCachePolicy = require('./cache-policy');
+const errorPages = require('./error-pages');
+const markdown = require('./markdown');
 const mime = require('mime-types');
 const getFreePort = require('./get-free-port');
 
@@ -58,14 +78,58 @@ function fileExists(filename) {
  * @property {ansiColor} [c] ansi-colors compatible colorizer.
  */
 
+/**
+ * @typedef {Object} AccessLogSettings
+ * @property {string} [format] 'common', 'combined' or 'json' (default 'combined')
+ * @property {boolean} [logger] true = send to the logger (default true if no file)
+ * @property {string} [file] path of file to append to
+ * @property {number} [maxSize] rotate the file when it would get bigger than this many bytes
+ * @property {number} [maxFiles] number of size rotated files to keep (default 5)
+ * @property {boolean} [daily] rotate the file each day
+ */
+
+/**
+ * A folder served at a url prefix. Options not set use the
+ * value from the top level settings.
+ *
+ * @typedef {Object} Mount
+ * @property {string} path url prefix to serve the folder at eg. '/assets'
+ * @property {string} root folder to serve
+ * @property {boolean} [index]
+ * @property {string[]} [extensions]
+ * @property {boolean} [dirs]
+ * @property {boolean} [hidden]
+ * @property {boolean} [gzip]
+ * @property {boolean} [brotli]
+ * @property {string} [compress]
+ * @property {number} [compressCacheSize]
+ * @property {string} [cache]
+ * @property {Object.<string, string>} [cacheRules]
+ * @property {boolean} [markdown]
+ */
+
 /**
  * @typedef {Object} Settings
- * @property {string} root folder to server
+ * @property {string} root folder to server. Can be left out if one of `mounts` is at `/`.
  * @property {number} port port to server
+ * @property {Mount[]} [mounts] folders to serve at url prefixes instead of just `root` at `/`.
+ *     Writing, WebDAV, host rules, robots and error pages still use `root`, or the folder
+ *     mounted at `/` if `root` is not set.
  * @property {boolean} [local] true = only serve to the local machine
+ * @property {({host: string, port: number, ssl: boolean, scan: boolean|Object|string}|{path: string, ssl: boolean})[]} [listen]
+ *     where to listen instead of `port` on all interfaces (or 127.0.0.1 if `local`). `host` can be any
+ *     IPv4 or IPv6 address. Entries without `host` listen on all interfaces, or 127.0.0.1 if `local`. `path` is a unix domain socket or windows named pipe. `ssl` and `scan`
+ *     default to the top level settings. eg.
+ *     `[{host: '127.0.0.1', port: 8080}, {host: '::1', port: 8443, ssl: true}, {path: '/tmp/servez.sock'}]`
+ * @property {string[]} [allow] only serve to these addresses and CIDR ranges eg. `['192.168.1.0/24', '::1']`
+ * @property {string[]} [deny] never serve to these addresses and CIDR ranges
+ * @property {boolean|number} [trustProxy] true or the number of proxies in front of servez =
+ *     check the client address from `X-Forwarded-For` against `allow` and `deny`
  * @property {Logger} [logger] function for logging
  * @property {boolean} [index] true = serve index.html if folder 
- * @property {boolean} [dirs] true = show listing if folder
+ * @property {boolean} [dirs] true = show listing if folder. Send `Accept: application/json`
+ *     or `?format=json` for JSON, `Accept: text/plain` or `?format=text` for plain text.
+ *     `?download=zip` or `?download=tar.gz` downloads the folder.
  * @property {boolean} [unityHack] true = ignore .gz and .br when computing content type
  * @property {boolean} [sharedArrayBuffers] true = include headers
  *     'Cross-Origin-Opener-Policy': 'same-origin' and
@@ -73,18 +137,95 @@ function fileExists(filename) {
  * @property {Object.<string, string>} [headers] extra headers to include
  * @property {boolean} [gzip] true = serve .gz as non .gz files if they exist
  * @property {boolean} [brotli] true = serve .br as non .br files if they exist
+ * @property {string} [compress] 'auto' = compress compressible files on the fly if the browser accepts it
+ * @property {number} [compressCacheSize] max bytes of compressed files to keep in memory (default 50MB)
+ * @property {string} [cache] 'none' = never cache (default), 'revalidate' = cache but check with the
+ *     server each time (ETag/Last-Modified), 'immutable' = cache for a year
+ * @property {Object.<string, string>} [cacheRules] map of globs, relative to root, to a cache preset or
+ *     a Cache-Control value. eg. `{'assets/**': 'immutable', '*.html': 'revalidate'}`. First match wins.
+ * @property {string|Object} [throttle] simulate a slow network. A preset, 'slow-3g', 'fast-3g', '4g'
+ *     or 'flaky', or `{preset, bandwidth (bytes per second), latency (ms), jitter (ms), stallRate (0 to 1),
+ *     stallTime (ms), paths}` where paths is a map of globs like `cacheRules` to presets, objects or false.
+ * @property {Object[]} [faults] fault injection rules, `{fault, path, name, enabled, probability, methods,
+ *     status, after, bytes, delta}`. fault is 'status', 'drop', 'stall', 'corrupt' or 'length'.
+ *     path is a glob like `cacheRules` or a RegExp. See lib/faults.js. Can be changed with `setFaults`
+ *     and `enableFault`.
  * @property {boolean} [robots] true = serve a robots.txt disallow if robots.txt does not exist
  * @property {boolean} [hidden] true = show dotfiles
  * @property {string} [username] username required to access using basic auth
  * @property {string} [password] username required to access using basic auth
+ * @property {Object.<string, string|{password: string, role: string}>} [users] map of usernames to
+ *     passwords (plain or htpasswd style hashes) or to `{password, role}`. role is 'read-only' or
+ *     'read-write' (default). Leave out password to set the role of a user from `htpasswd`.
+ * @property {string} [htpasswd] path of htpasswd file with bcrypt, SHA1 or apr1-MD5 hashes.
+ *     It is re-read when it changes.
+ * @property {{path: string, users: string[], public: boolean}[]} [authRules] per path rules.
+ *     The first rule whose `path` glob matches is used. eg.
+ *     `[{path: '/public/**', public: true}, {path: '/private/**', users: ['alice']}]`.
+ *     `public` = anyone can read. `users` = only these users. Paths that match no rule need any user.
  * @property {string[]} [extensions] extensions. If a path is not file these extensions will be added and tried
  * @property {boolean} [ssl] true = use https
+ * @property {boolean} [http2] false = don't use HTTP/2 when ssl is true (default true)
  * @property {string} [cert] path to https cert file.
  * @property {string} [key] path to https key file.
- * @property {boolean} [scan] true = scan for a port starting at `port`
- * @property {string} dataDir path to store data like fake cert
+ *     If `cert` and `key` are not set a cert is made from a local CA in `dataDir`.
+ *     Trust the CA once (see `Servez.exportCA` or `/__servez/ca.crt`) to avoid warnings.
+ * @property {string[]} [hostnames] extra hostnames for the local cert. localhost and
+ *     the addresses of this machine are always included.
+ * @property {boolean|{from: number, to: number}|string} [scan] true = scan for a port starting at `port`,
+ *     `{from, to}` = scan that range, 'random' = try random ports.
+ *     Start rejects with a `Servez.PortInUseError` when not scanning and the port is in use,
+ *     a `Servez.PortsExhaustedError` if no port was free or a `Servez.PortPermissionError`.
+ * @property {number} [maxPortAttempts] max ports to try when scanning (default 100)
+ * @property {boolean|AccessLogSettings} [accessLog] true = log each request with its status, size, and time
+ *     after it finishes instead of just the method and url when it starts
+ * @property {boolean} [metrics] true = serve prometheus metrics at `/__servez/metrics`
+ *     and status at `/__servez/health`
+ * @property {boolean} [liveReload] true = watch root and mounts and reload connected browsers when files change
+ * @property {boolean} [writable] true = allow PUT, DELETE, MKCOL, MOVE, COPY and multipart POST uploads into root
+ * @property {boolean} [webdav] true = handle WebDAV PROPFIND and OPTIONS so root can be mounted as a drive.
+ *     Set `writable` as well to allow changes.
+ * @property {number} [maxUploadSize] max bytes per uploaded file when writable (default 1GB)
+ * @property {Object.<string, string>} [proxy] map of url prefixes to origins to forward them to,
+ *     for example `{'/api': 'http://localhost:3000'}`. WebSockets are forwarded too.
+ * @property {boolean} [hostRules] true = apply Netlify style `_headers` and `_redirects` files in root.
+ *     They are re-read when they change.
+ * @property {Object.<string, string>} [errorPages] map of status codes to pages relative to root
+ *     to serve for errors (default `{404: '404.html', 500: '500.html'}`)
+ * @property {string} [errorTemplate] path of html template for errors without a page. `{status}`,
+ *     `{path}` and `{message}` are replaced.
+ * @property {boolean} [markdown] true = render .md files as html for browsers and show a
+ *     folder's README.md below its listing. Add `?raw` to get the file as is.
+ * @property {boolean|string} [spa] true = serve index.html for html requests that match no file.
+ *     A string is the path of the file to serve instead, relative to root.
+ * @property {string} dataDir path to store data like the local CA and certs
+ * @property {boolean} [autoStart] false = don't start until `start()` is called (default true)
+ */
+
+/**
+ * @typedef {Object} StartInfo
+ * @property {number} port
+ * @property {string} protocol 'http://' or 'https://'
+ * @property {string[]} protocols ALPN names of the protocols clients can use
+ * @property {string} baseUrl url for this machine
+ * @property {string[]} urls urls for every endpoint. For all interfaces that is this machine
+ *     and each of its IPv4 addresses.
+ * @property {Endpoint[]} endpoints each place the server is listening.
+ *     `port`, `protocol` and `protocols` above are from the first one with a port.
+ */
+
+/**
+ * @typedef {Object} Endpoint
+ * @property {string} [host] host from `listen`, undefined = all interfaces
+ * @property {number} [port]
+ * @property {string} [path] unix socket path
+ * @property {string} protocol 'http://' or 'https://'
+ * @property {string[]} protocols ALPN names of the protocols clients can use
+ * @property {string[]} urls
  */
 
+const certRenewIntervalMs = 1000 * 60 * 60 * 12;
+
 const noopLogger = {
   log() {},
   error() {},
@@ -96,37 +237,137 @@ const noopLogger = {
   }),
 };
 
-function escapeStringForHTML(s) {
-  return s
-    .replaceAll('&', '&amp;')
-    .replaceAll('<', '&lt;')
-    .replaceAll('>', '&gt;');
+// Settings each mount can override
+const mountSettingNames = [
+  'index',
+  'extensions',
+  'dirs',
+  'hidden',
+  'gzip',
+  'brotli',
+  'compress',
+  'compressCacheSize',
+  'cache',
+  'cacheRules',
+  'markdown',
+];
+
+// Longest path first so `/assets/img` is checked before `/assets` and `/`
+function getMounts(settings) {
+  const mounts = settings.mounts || [{path: '/', root: settings.root}];
+  return mounts
+    .map((mount) => {
+      const options = {};
+      for (const name of mountSettingNames) {
+        options[name] = mount[name] !== undefined ? mount[name] : settings[name];
+      }
+      const mountPath = `/${(mount.path || '/').replace(/^\/+|\/+$/g, '')}`;
+      return Object.assign(options, {path: mountPath, root: mount.root});
+    })
+    .sort((a, b) => b.path.length - a.path.length);
+}
+
+// The folder for features that use only one. Without `root` it's the one mounted at '/'.
+function getRoot(settings) {
+  if (settings.root !== undefined) {
+    return settings.root;
+  }
+  const mount = getMounts(settings).find(mount => mount.path === '/');
+  if (!mount || mount.root === undefined) {
+    throw new Error('root must be set unless one of the mounts is at /');
+  }
+  return mount.root;
+}
+
+// Where to listen. Without `listen` it's one entry made from `port`, `local` and `ssl`.
+function getListenEntries(settings) {
+  const entries = settings.listen || [{port: settings.port}];
+  const defaultHost = settings.local ? '127.0.0.1' : undefined;
+  return entries.map((entry) => {
+    const ssl = entry.ssl !== undefined ? !!entry.ssl : !!settings.ssl;
+    if (entry.path) {
+      return {path: entry.path, ssl};
+    }
+    return {
+      host: entry.host !== undefined ? entry.host : defaultHost,
+      port: entry.port,
+      ssl,
+      scan: entry.scan !== undefined ? entry.scan : settings.scan,
+    };
+  });
+}
+
+// true if listening on host means all interfaces
+function isAnyHost(host) {
+  return host === undefined || host === '0.0.0.0' || host === '::';
 }
 
-function makeErrorHTML(msg) {
-  return `\
-<!DOCTYPE html>
-<html>
-  <style>
-  :root {
-    color-scheme: light dark;
+// Removes a unix socket left behind by a server that did not close.
+function removeStaleSocket(socketPath) {
+  let stat;
+  try {
+    stat = fs.statSync(socketPath);
+  } catch (e) {
+    return Promise.resolve();
   }
-  html, body, .msg {
-    height: 100%;
-    font-family: monospace;
+  if (!stat.isSocket()) {
+    return Promise.resolve();
   }
-  .msg {
-    word-break: break-word;
-    display: flex;
-    justify-content: center;
-    align-items: center;
+  return new Promise((resolve) => {
+    const socket = net.connect(socketPath);
+    socket.once('connect', () => {
+      // in use, listen will fail
+      socket.destroy();
+      resolve();
+    });
+    socket.once('error', (e) => {
+      if (e.code === 'ECONNREFUSED') {
+        debug('removing stale socket %s', socketPath);
+        fs.unlinkSync(socketPath);
+      }
+      resolve();
+    });
+  });
+}
+
+// Settings that are safe to show to clients. An allowlist so new
+// settings with credentials or paths are not shown by accident.
+const publicSettingNames = [
+  'port',
+  'root',
+  'local',
+  'scan',
+  'ssl',
+  'http2',
+  'index',
+  'dirs',
+  'hidden',
+  'extensions',
+  'cors',
+  'robots',
+  'gzip',
+  'brotli',
+  'compress',
+  'cache',
+  'sharedArrayBuffers',
+  'unityHack',
+  'spa',
+  'markdown',
+  'liveReload',
+  'writable',
+  'webdav',
+  'metrics',
+  'hostRules',
+];
+
+function getPublicSettings(settings) {
+  const publicSettings = {};
+  for (const key of publicSettingNames) {
+    if (settings[key] !== undefined) {
+      publicSettings[key] = settings[key];
+    }
   }
-  </style>
-  <body>
-    <div class="msg"><div>${escapeStringForHTML(msg)}</div></div>
-  </body>
-</html>
-`;
+  return publicSettings;
 }
 
 class Servez extends EventEmitter {
@@ -136,11 +377,238 @@ class Servez extends EventEmitter {
     Info: 3,
   };
 
+  // Errors `start` rejects with when it can't get a port
+  static PortInUseError = getFreePort.PortInUseError;
+  static PortsExhaustedError = getFreePort.PortsExhaustedError;
+  static PortPermissionError = getFreePort.PortPermissionError;
+
+  // Settings `update` can't change while listening
+  static restartSettingNames = [
+    'port',
+    'listen',
+    'local',
+    'ssl',
+    'http2',
+    'key',
+    'cert',
+    'hostnames',
+    'dataDir',
+  ];
+
+  /**
+   * Gets the local CA's cert for installing on devices.
+   *
+   * @param {string} dataDir same as `settings.dataDir`
+   * @param {string} [format] 'pem' or 'der' (default 'pem')
+   * @returns {string|Buffer} string for pem, Buffer for der
+   */
+  static exportCA(dataDir, format) {
+    return getLocalCert.exportCA(dataDir, format);
+  }
+
+  #settings;
+  #lifecycle;
+  // kept across updates and restarts
+  #metrics = createMetrics();
+  #faults;
+  #accessLogFile;
+  #accessLogClosing = Promise.resolve();
+  #updating = Promise.resolve();
+
+  /**
+   * @param {Settings} settings Set `autoStart: false` to wait for `start()`.
+   */
   constructor(settings) {
     super();
-    const root = settings.root;
-    const local = settings.local;
-    const hostname = local ? '127.0.0.1' : undefined;
+    this.#settings = settings;
+    this.#faults = faultInjection(settings.faults, {
+      onFault: (info) => {
+        this.#lifecycle.logFault(info);
+        this.emit('fault', info);
+      },
+    });
+    this.#lifecycle = this.#init(settings);
+    if (settings.autoStart !== false) {
+      // Errors go to the 'error' event for code that does not call start().
+      // Code that awaits start() gets the rejection instead of a crash.
+      this.start().catch((e) => {
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', e);
+        }
+      });
+    }
+  }
+
+  /**
+   * Starts listening. Calling it again returns the same promise.
+   *
+   * @returns {Promise<StartInfo>}
+   */
+  start() {
+    return this.#lifecycle.start();
+  }
+
+  /**
+   * Stops listening. Without a timeout connections are closed immediately.
+   * With a timeout requests in progress have that long to finish.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.timeout] milliseconds to wait for connections to drain
+   * @returns {Promise<void>} resolves once all connections are closed
+   */
+  close(options) {
+    return this.#lifecycle.close(options);
+  }
+
+  /**
+   * @returns {{address: string, family: string, port: number}|string|null} where the first
+   *     server is listening, the path for a unix socket, or null if it is not listening.
+   */
+  address() {
+    return this.#lifecycle.addresses()[0] || null;
+  }
+
+  /**
+   * @returns {({address: string, family: string, port: number}|string)[]} where each
+   *     server is listening. See `settings.listen`.
+   */
+  addresses() {
+    return this.#lifecycle.addresses();
+  }
+
+  /**
+   * Closes the server and starts it again with `newSettings` merged into the current settings.
+   * Event listeners are kept.
+   *
+   * @param {Object} [newSettings]
+   * @param {Object} [options] passed to `close`
+   * @returns {Promise<StartInfo>}
+   */
+  async restart(newSettings = {}, options) {
+    await this.close(options);
+    const settings = Object.assign({}, this.#settings, newSettings);
+    this.#lifecycle = this.#init(settings);
+    this.#settings = settings;
+    if ('faults' in newSettings) {
+      this.#faults.setRules(newSettings.faults || []);
+    }
+    return this.start();
+  }
+
+  /**
+   * Changes settings without closing the server. The middleware is rebuilt
+   * from the merged settings and swapped in. Requests already in progress
+   * finish with the old settings.
+   *
+   * Settings that need a new socket (see `Servez.restartSettingNames`) are
+   * not applied while running. They are returned so they can be passed to `restart`.
+   *
+   * @param {Object} partialSettings
+   * @returns {Promise<{restartRequired: string[]}>} names of settings that were not applied
+   */
+  update(partialSettings) {
+    // one at a time so each one hands the server to the next
+    const update = this.#updating.then(() => this.#update(partialSettings));
+    this.#updating = update.catch(() => {});
+    return update;
+  }
+
+  async #update(partialSettings) {
+    const oldLifecycle = this.#lifecycle;
+    const running = await oldLifecycle.isRunning();
+    const restartRequired = running
+        ? Servez.restartSettingNames.filter(name =>
+            name in partialSettings && partialSettings[name] !== this.#settings[name])
+        : [];
+    const newSettings = Object.assign({}, this.#settings, partialSettings);
+    for (const name of restartRequired) {
+      newSettings[name] = this.#settings[name];
+    }
+    // build first so bad settings leave the running server alone
+    const newLifecycle = this.#init(newSettings);
+    const server = await oldLifecycle.handOff();
+    if (server) {
+      newLifecycle.takeOver(server);
+    }
+    this.#settings = newSettings;
+    this.#lifecycle = newLifecycle;
+    if ('faults' in partialSettings) {
+      this.#faults.setRules(partialSettings.faults || []);
+    }
+    debug('updated settings: %s', Object.keys(partialSettings).join(', '));
+    return {restartRequired};
+  }
+
+  /**
+   * @returns {Object} stats from `lib/metrics.js`
+   */
+  getStats() {
+    return this.#metrics.getStats();
+  }
+
+  /**
+   * Replaces the fault injection rules. See `settings.faults`.
+   * They are kept by `update` and `restart` unless those are passed `faults`.
+   *
+   * @param {Object[]} rules
+   */
+  setFaults(rules) {
+    this.#faults.setRules(rules);
+  }
+
+  /**
+   * @returns {Object[]} the current fault injection rules
+   */
+  getFaults() {
+    return this.#faults.getRules();
+  }
+
+  /**
+   * Turns the fault injection rules named `name` on or off.
+   *
+   * @param {string} name
+   * @param {boolean} [enabled] (default true)
+   */
+  enableFault(name, enabled = true) {
+    this.#faults.enable(name, enabled);
+  }
+
+  // Only one writer per file so updates don't rotate or append to it twice.
+  #getAccessLogFile(accessLogSettings) {
+    const filename = path.resolve(accessLogSettings.file);
+    if (this.#accessLogFile && this.#accessLogFile.filename === filename) {
+      this.#accessLogFile.setOptions(accessLogSettings);
+    } else {
+      this.#closeAccessLogFile();
+      this.#accessLogFile = accessLog.createLogFile(filename, accessLogSettings);
+    }
+    return this.#accessLogFile;
+  }
+
+  // The writer finishes in the background. Closing the server waits for it.
+  #closeAccessLogFile() {
+    if (this.#accessLogFile) {
+      this.#accessLogClosing = Promise.all([this.#accessLogClosing, this.#accessLogFile.close()]);
+      this.#accessLogFile = undefined;
+    }
+  }
+
+  // Builds the app and its lifecycle. If that fails, whatever
+  // was made so far that needs closing is closed.
+  #init(settings) {
+    const cleanup = [];
+    try {
+      return this.#build(settings, cleanup);
+    } catch (e) {
+      for (const fn of cleanup) {
+        fn();
+      }
+      throw e;
+    }
+  }
+
+  #build(settings, cleanup) {
+    const root = getRoot(settings);
     const logger = settings.logger || noopLogger;
     const filterFn = msgType => logger.filter ? logger.filter(msgType) : true;
     const logFiltered = (msgType, ...args) => {
@@ -159,17 +627,51 @@ class Servez extends EventEmitter {
     const c = logger.c || noopLogger.c;
 
     const app = express();
+    const metrics = this.#metrics;
+    let listeningPort;
 
-    const staticOptions = {
-      fallthrough: true,  // true = call next middleware if no file, false = return 404
-      setHeaders: setHeaders,
-    };
-    function setHeaders(res, path/*, stat */) {
-      res.set({
-        'Cache-Control': 'no-cache, no-store, must-revalidate', // HTTP 1.1.
-        'Pragma':        'no-cache',                            // HTTP 1.0.
-        'Expires':       '0',                                   // Proxies.
-      });
+    const accessLogSettings = settings.accessLog === true ? {} : settings.accessLog;
+    const accessLogFormat = accessLogSettings && (accessLogSettings.format || 'combined');
+    if (accessLogSettings && !accessLog.formats.includes(accessLogFormat)) {
+      throw new Error(`unknown accessLog format: ${accessLogFormat}`);
+    }
+    const accessLogToLogger = accessLogSettings &&
+        (accessLogSettings.logger !== undefined ? accessLogSettings.logger : !accessLogSettings.file);
+    if (!accessLogSettings || !accessLogSettings.file) {
+      this.#closeAccessLogFile();
+    }
+    const accessLogFile = accessLogSettings && accessLogSettings.file
+        ? this.#getAccessLogFile(accessLogSettings)
+        : undefined;
+    app.use(accessLog((record) => {
+      if (accessLogSettings) {
+        const line = accessLog.formatRecord(record, accessLogFormat);
+        if (accessLogToLogger) {
+          logFiltered(Servez.MsgType.Info, line);
+        }
+        if (accessLogFile) {
+          accessLogFile.write(line);
+        }
+      }
+      metrics.addRequest(record);
+      this.emit('request', record);
+    }));
+
+    // `options` is either settings or a mount
+    function makeStaticOptions(options) {
+      const getCacheHeaders = createCachePolicy(options.root, options.cache, options.cacheRules);
+      return {
+        fallthrough: true,  // true = call next middleware if no file, false = return 404
+        index: options.index ? 'index.html' : false,
+        extensions: options.extensions,
+        setHeaders(res, path/*, stat */) {
+          res.set(getCacheHeaders(path));
+          setHeaders(res, path);
+        },
+      };
+    }
+
+    function setHeaders(res, path) {
       if (settings.sharedArrayBuffers) {
         res.set({
           'Cross-Origin-Opener-Policy': 'same-origin',
@@ -179,6 +681,9 @@ class Servez extends EventEmitter {
       if (settings.headers) {
         res.set(settings.headers);
       }
+      if (hostRulesMiddleware) {
+        res.set(hostRulesMiddleware.getHeaders(res.req.originalUrl));
+      }
       if (settings.unityHack && (path.endsWith('.gz') || path.endsWith('.br'))) {
         res.set({
           'Content-Type': mime.lookup(path.substr(0, path.length - 3)) || 'application/octet-stream',
@@ -187,30 +692,33 @@ class Servez extends EventEmitter {
       }
     }
 
-    staticOptions.index = settings.index ? 'index.html' : false;
-    if (settings.extensions) {
-      staticOptions.extensions = settings.extensions;
-    }
-
-    if (settings.username || settings.password) {
-      app.use(function (req, res, next) {
-        const credentials = auth(req);
+    const staticOptions = makeStaticOptions(settings);
 
-        // We perform these outside the if to avoid short-circuiting and giving
-        // an attacker knowledge of whether the username is correct via a timing
-        // attack.
-        if (credentials) {
-          const usernameEqual = secureCompare(settings.username, credentials.name);
-          const passwordEqual = secureCompare(settings.password, credentials.pass);
-          if (usernameEqual && passwordEqual) {
-            return next();
-          }
-        }
+    let ipFilterMiddleware;
+    if (settings.allow || settings.deny) {
+      ipFilterMiddleware = ipFilter({
+        allow: settings.allow,
+        deny: settings.deny,
+        trustProxy: settings.trustProxy,
+        onReject: (info) => {
+          errorFiltered(Servez.MsgType.Info, `REJECTED: ${c.cyan(info.address)} ${info.method} ${c.cyan(info.url)} [address not allowed]`);
+          this.emit('reject', info);
+        },
+      });
+      app.use(ipFilterMiddleware);
+    }
 
-        res.statusCode = 401;
-        res.setHeader('WWW-Authenticate', 'Basic realm=""');
-        res.end('Access denied');
+    const needAuth = !!(settings.username || settings.password || settings.users || settings.htpasswd);
+    let authMiddleware;
+    if (needAuth) {
+      authMiddleware = authorization({
+        username: settings.username,
+        password: settings.password,
+        users: settings.users,
+        htpasswd: settings.htpasswd,
+        rules: settings.authRules,
       });
+      app.use(authMiddleware);
     }
 
     if (settings.cors) {
@@ -230,213 +738,536 @@ class Servez extends EventEmitter {
       }
     }
 
-    app.use((req, res, next) => {
-      logFiltered(Servez.MsgType.Info, `${req.method} ${c.cyan(req.originalUrl)}`);
-      next();
-    });
+    if (!accessLogToLogger) {
+      app.use((req, res, next) => {
+        logFiltered(Servez.MsgType.Info, `${req.method} ${c.cyan(req.originalUrl)}`);
+        next();
+      });
+    }
 
-    if (settings.gzip || settings.brotli) {
-      app.use(compression(root, Object.assign({}, staticOptions, {
-        gzip: settings.gzip,
-        brotli: settings.brotli,
-      })));
+    if (settings.metrics) {
+      app.get('/__servez/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metrics.toPrometheus());
+      });
+      app.get('/__servez/health', (req, res) => {
+        res.json({
+          status: 'ok',
+          uptime: metrics.getStats().uptime,
+          root,
+          port: listeningPort,
+          settings: getPublicSettings(settings),
+        });
+      });
     }
 
-    app.use(express.static(root, staticOptions));
-    if (settings.dirs) {
-      app.use(serveIndex(root, {
-        icons: true,
+    const listenEntries = getListenEntries(settings);
+    const useLocalCA = listenEntries.some(entry => entry.ssl) && !(settings.key && settings.cert);
+    let renewIntervalId;
+
+    function getCredentials() {
+      if (!useLocalCA) {
+        return {
+          key: fs.readFileSync(settings.key, 'utf8'),
+          cert: fs.readFileSync(settings.cert, 'utf8'),
+        };
+      }
+      return getLocalCert(settings.dataDir, getLocalCert.getHostnames(settings.hostnames));
+    }
+
+    // Local certs are short lived so check for renewal while running.
+    function renewCredentials(servers, credentials) {
+      let current = credentials;
+      renewIntervalId = setInterval(() => {
+        try {
+          const renewed = getCredentials();
+          if (renewed.cert !== current.cert) {
+            debug('renewed cert');
+            for (const server of servers) {
+              server.setSecureContext(renewed);
+            }
+            current = renewed;
+          }
+        } catch (e) {
+          errorFiltered(Servez.MsgType.Error, 'ERROR: renewing cert:', e.message);
+        }
+      }, certRenewIntervalMs);
+      renewIntervalId.unref();
+    }
+
+    if (useLocalCA) {
+      app.get('/__servez/ca.pem', (req, res) => {
+        res.set('Content-Type', 'application/x-pem-file');
+        res.send(getLocalCert.exportCA(settings.dataDir, 'pem'));
+      });
+      // .crt as DER is what phones expect
+      app.get('/__servez/ca.crt', (req, res) => {
+        res.set('Content-Type', 'application/x-x509-ca-cert');
+        res.send(getLocalCert.exportCA(settings.dataDir, 'der'));
+      });
+    }
+
+    if (settings.throttle) {
+      app.use(throttle(settings.throttle, {
+        onThrottled: metrics.addThrottled,
+      }));
+    }
+
+    app.use(this.#faults);
+
+    const logFault = (info) => {
+      errorFiltered(Servez.MsgType.Info, `FAULT: ${info.fault} ${info.method} ${c.cyan(info.url)}${info.name ? ` [${info.name}]` : ''}`);
+    };
+
+    // Everything that serves files from root. Kept together so the
+    // spa fallback and rewrites can run the same steps for other files.
+    const serveFiles = express.Router();
+
+    const logProxyError = (err, req) => {
+      errorFiltered(Servez.MsgType.Error, `ERROR: proxying ${req.method} ${c.cyan(req.url)} ${err}`);
+    };
+
+    let hostRulesMiddleware;
+    if (settings.hostRules) {
+      hostRulesMiddleware = hostRules(root, Object.assign({}, staticOptions, {
+        serveFiles,
+        onProxyError: logProxyError,
+      }));
+      app.use(hostRulesMiddleware);
+    }
+
+    let proxyMiddleware;
+    if (settings.proxy) {
+      proxyMiddleware = proxy(settings.proxy, {
+        onError: logProxyError,
+      });
+      app.use(proxyMiddleware);
+    }
+
+    if (settings.webdav) {
+      app.use(webdav(root, {
+        hidden: settings.hidden,
+        writable: settings.writable,
+      }));
+    }
+
+    if (settings.writable) {
+      app.use(writable(root, {
         hidden: settings.hidden,
-        template: createHtmlRender(),
-        // PS: I thought about filtering out .gz and .br files if those
-        // features are on but it's complicated.
-        // If foo.txt exists and foo.txt.gz exists then we don't want to display foo.txt.gz
-        // If foo.txt does NOT exist and foo.txt.gz exists then we want to display
-        // foo.txt instead but this filter doesn't let us change things, only filter.
-        // It's not a big deal so punting.
+        maxSize: settings.maxUploadSize,
+        // auth only checked the source
+        checkDestination: (req, pathname) => authMiddleware
+          ? authMiddleware.checkPath((basicAuth(req) || {}).name, req.method, pathname)
+          : 200,
+        onWrite: (info) => {
+          logFiltered(Servez.MsgType.Info, `${info.method} ${c.cyan(info.path)} done`);
+        },
       }));
     }
 
+    let liveReloadMiddleware;
+    if (settings.liveReload) {
+      liveReloadMiddleware = liveReload({
+        onChange: (info) => {
+          logFiltered(Servez.MsgType.Info, `changed: ${c.cyan(info.path)}`);
+          this.emit('change', info);
+        },
+      });
+      serveFiles.use(liveReloadMiddleware);
+    }
+
+    const closeLiveReload = () => {
+      if (liveReloadMiddleware) {
+        liveReloadMiddleware.close();
+        liveReloadMiddleware = undefined;
+      }
+    };
+    cleanup.push(closeLiveReload);
+
+    function makeMountFiles(mount) {
+      const router = express.Router();
+      const mountStaticOptions = makeStaticOptions(mount);
+
+      if (liveReloadMiddleware) {
+        router.use(liveReloadMiddleware.inject(mount.root, Object.assign({}, mountStaticOptions, {
+          mountPath: mount.path,
+        })));
+      }
+
+      if (mount.markdown) {
+        router.use(markdown(mount.root, mountStaticOptions));
+      }
+
+      if (mount.gzip || mount.brotli) {
+        router.use(compression(mount.root, Object.assign({}, mountStaticOptions, {
+          gzip: mount.gzip,
+          brotli: mount.brotli,
+        })));
+      }
+
+      if (mount.compress === 'auto') {
+        router.use(autoCompression(mount.root, Object.assign({}, mountStaticOptions, {
+          cacheSize: mount.compressCacheSize,
+        })));
+      }
+
+      router.use(express.static(mount.root, mountStaticOptions));
+
+      if (mount.dirs) {
+        router.use(download(mount.root, {
+          hidden: mount.hidden,
+        }));
+        router.use(listingApi(mount.root, {
+          hidden: mount.hidden,
+        }));
+        router.use(serveIndex(mount.root, {
+          icons: true,
+          hidden: mount.hidden,
+          template: createHtmlRender({
+            // uploads only go to root
+            writable: settings.writable && mount.root === root,
+            mountPath: mount.path,
+            markdown: mount.markdown,
+          }),
+          // PS: I thought about filtering out .gz and .br files if those
+          // features are on but it's complicated.
+          // If foo.txt exists and foo.txt.gz exists then we don't want to display foo.txt.gz
+          // If foo.txt does NOT exist and foo.txt.gz exists then we want to display
+          // foo.txt instead but this filter doesn't let us change things, only filter.
+          // It's not a big deal so punting.
+        }));
+      }
+
+      return router;
+    }
+
+    for (const mount of getMounts(settings)) {
+      debug('mounting %s at %s', mount.root, mount.path);
+      serveFiles.use(mount.path, makeMountFiles(mount));
+    }
+    app.use(serveFiles);
+
+    if (settings.spa) {
+      const fallback = typeof settings.spa === 'string' ? settings.spa : 'index.html';
+      app.use(spa(fallback, serveFiles));
+    }
+
+    const sendError = errorPages(root, {
+      pages: settings.errorPages,
+      template: settings.errorTemplate,
+    });
+
     function localErrorHandler(err, req, res, next) {
       debug(`ERROR: ${req.method} ${req.url} ${err}`);
       errorFiltered(Servez.MsgType.Error, `ERROR: ${req.method} ${c.cyan(req.url)} ${err}`);
-      res.status(500).send(makeErrorHTML(err));
+      if (res.headersSent) {
+        return next(err);
+      }
+      sendError(req, res, 500, String(err)).catch(next);
     }
 
     function nonErrorLocalErrorHandler(req, res, next) {
       debug(`ERROR: ${req.method} ${req.url} [404]`);
       errorFiltered(Servez.MsgType.Info, `ERROR: ${req.method} ${c.cyan(req.url)} [404: does not exist]`);
-      res.status(404).send(makeErrorHTML(`ERROR 404: No such path ${req.path}`));
-    }
-
-    async function getFreePortForLocalAndPublic(port) {
-      // Get the port for undefined, then 0.0.0.0, then 127.0.0.1
-      // This is because node fucks-up if you pass in a port on windows
-      // and claims the port is free when it's not.
-      return await getFreePort(await getFreePort(await getFreePort(port), '0.0.0.0'), '127.0.0.1');
+      sendError(req, res, 404, `No such path ${req.path}`).catch(next);
     }
 
     app.use(nonErrorLocalErrorHandler);
     app.use(localErrorHandler);
 
-    (async () => {
-      const port = await getFreePortForLocalAndPublic(settings.port);
-      if (!settings.scan && port !== settings.port) {
-        const msg = `ERROR: port $${port} in use`;
-        errorFiltered(Servez.MsgType.Error, msg);
-        this.emit('error', msg);
-        return;
+    // one server for each listen entry
+    let servers = [];
+    let endpoints = [];
+    let startPromise;
+    let closePromise;
+    // HTTP/2 sessions so close can ask them to finish
+    let sessions = new Set();
+    // listeners added to servers so they can be removed when handing them to an update
+    const serverListeners = [];
+
+    const getProtocols = ssl => ssl && settings.http2 !== false ? ['h2', 'http/1.1'] : ['http/1.1'];
+
+    const makeServer = (ssl, credentials) => {
+      if (!ssl) {
+        return http.createServer();
       }
+      return settings.http2 === false
+          ? https.createServer(credentials)
+          : http2.createSecureServer(Object.assign({allowHTTP1: true}, credentials));
+    };
 
-      let server;
-      let started = false;
-      try {
-        debug('starting server');
-
-        if (settings.ssl) {
-          const fakeCert = getFakeCert(settings.dataDir);
-          const credentials = {
-            key: settings.key ? fs.readFileSync(settings.key, 'utf8') : fakeCert,
-            cert: settings.cert ? fs.readFileSync(settings.cert, 'utf8') : fakeCert,
-          };
-          server = https.createServer(credentials, app);
-        } else {
-          server = http.createServer(app);
-        }
-        server.on('error', (e) => {
-          errorFiltered(Servez.MsgType.Error, 'ERROR:', e.message);
-          this.emit('error', e);
-        });
-        server.on('listening', () => {
-          started = true;
-          logFiltered(Servez.MsgType.Intro, c.yellow(`server started on ${hostname || '::'}${port} for path: ${c.cyan(root)}`));
-          logFiltered(Servez.MsgType.Intro, c.yellow('available on:'));
-          const protocol = settings.ssl ? 'https://' : 'http://';
-          logFiltered(Servez.MsgType.Intro, `   ${protocol}localhost:${port}`);
-          if (!hostname) {
-            const iFaces = os.networkInterfaces();
-            Object.keys(iFaces).forEach((dev) => {
-              iFaces[dev].forEach((details) => {
-                if (details.family === 'IPv4') {
-                  logFiltered(Servez.MsgType.Intro, `   ${protocol}${details.address}:${port}`);
-                  this.emit('host', {
-                    root: `${protocol}${details.address}:${port}/`,
-                  });
-                }
-              });
-            });
+    const addServerListener = (server, event, listener) => {
+      server.on(event, listener);
+      serverListeners.push([server, event, listener]);
+    };
+
+    // Everything this app needs from a server. The app is only
+    // used by the server once this is called.
+    const attach = (server, endpoint) => {
+      const handler = endpoint.protocols.includes('h2') ? http2Express(app) : app;
+      addServerListener(server, 'request', handler);
+      addServerListener(server, 'connection', metrics.addConnection);
+      addServerListener(server, 'session', (session) => {
+        sessions.add(session);
+        session.once('close', () => sessions.delete(session));
+      });
+      if (proxyMiddleware) {
+        addServerListener(server, 'upgrade', async (req, socket, head) => {
+          logFiltered(Servez.MsgType.Info, `${req.method} ${c.cyan(req.url)} (upgrade)`);
+          if (ipFilterMiddleware && !ipFilterMiddleware.check(req)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+          }
+          let status = 200;
+          if (authMiddleware) {
+            try {
+              status = await authMiddleware.check(req);
+            } catch (e) {
+              debug('upgrade auth failed: %s', e);
+              socket.destroy();
+              return;
+            }
+          }
+          if (status === 401) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Basic realm=""\r\nConnection: close\r\n\r\n');
+            return;
           }
-          this.emit('start', {
-            port,
-            protocol,
-            baseUrl: `${protocol}localhost:${port}`,
+          if (status === 403) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+          }
+          if (!proxyMiddleware.upgrade(req, socket, head)) {
+            socket.destroy();
+          }
+        });
+      }
+      addServerListener(server, 'error', (e) => {
+        errorFiltered(Servez.MsgType.Error, 'ERROR:', e.message);
+        this.emit('error', e);
+      });
+    };
+
+    // Starts one server for a listen entry.
+    const listenOn = async (entry, credentials) => {
+      const server = makeServer(entry.ssl, credentials);
+      enableDestroy(server);
+      servers.push(server);
+      if (!entry.path) {
+        debug('starting server on %s port %d', entry.host || 'all interfaces', entry.port);
+        await getFreePort.listen(server, {
+          port: entry.port,
+          host: entry.host,
+          scan: entry.scan,
+          maxAttempts: settings.maxPortAttempts,
+        });
+        return server;
+      }
+      debug('starting server on %s', entry.path);
+      await removeStaleSocket(entry.path);
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(entry.path, () => {
+          server.off('error', reject);
+          resolve();
+        });
+      });
+      return server;
+    };
+
+    // What a listening server is reachable at
+    const getEndpoint = (server, entry) => {
+      const protocol = entry.ssl ? 'https://' : 'http://';
+      const protocols = getProtocols(entry.ssl);
+      if (entry.path) {
+        return {path: entry.path, protocol, protocols, urls: [`${protocol}unix:${entry.path}:`]};
+      }
+      const port = server.address().port;
+      const urls = [];
+      if (isAnyHost(entry.host)) {
+        urls.push(`${protocol}localhost:${port}`);
+        const iFaces = os.networkInterfaces();
+        Object.keys(iFaces).forEach((dev) => {
+          iFaces[dev].forEach((details) => {
+            if (details.family === 'IPv4') {
+              urls.push(`${protocol}${details.address}:${port}`);
+            }
           });
         });
-        server.on('close', () => {
-          this.emit('close');
+      } else {
+        urls.push(`${protocol}${net.isIPv6(entry.host) ? `[${entry.host}]` : entry.host}:${port}`);
+      }
+      return {host: entry.host, port, protocol, protocols, urls};
+    };
+
+    const getStartInfo = () => {
+      const main = endpoints.find(endpoint => endpoint.port !== undefined) || endpoints[0];
+      return {
+        port: main.port,
+        protocol: main.protocol,
+        // ALPN names of the protocols clients can use
+        protocols: main.protocols,
+        baseUrl: main.urls[0],
+        urls: [].concat(...endpoints.map(endpoint => endpoint.urls)),
+        endpoints,
+      };
+    };
+
+    const logStart = () => {
+      logFiltered(Servez.MsgType.Intro, c.yellow(`server started for path: ${c.cyan(root)}`));
+      logFiltered(Servez.MsgType.Intro, c.yellow('available on:'));
+      for (const endpoint of endpoints) {
+        endpoint.urls.forEach((url, ndx) => {
+          logFiltered(Servez.MsgType.Intro, `   ${url}`);
+          // localhost is not useful to other machines
+          const isLocalhost = ndx === 0 && !endpoint.path && isAnyHost(endpoint.host);
+          if (!isLocalhost) {
+            this.emit('host', {
+              root: `${url}/`,
+            });
+          }
         });
-        enableDestroy(server);
-        server.listen(port, hostname);
+      }
+      const sslEndpoint = endpoints.find(endpoint => endpoint.protocol === 'https://' && endpoint.port !== undefined);
+      if (useLocalCA) {
+        const caFilename = path.join(settings.dataDir, getLocalCert.caCertFilename);
+        logFiltered(Servez.MsgType.Intro, c.yellow(`to avoid cert warnings trust the CA at ${c.cyan(caFilename)}`));
+        if (sslEndpoint) {
+          logFiltered(Servez.MsgType.Intro, c.yellow(`or on other devices get ${c.cyan(`https://<address>:${sslEndpoint.port}/__servez/ca.crt`)}`));
+        }
+      }
+    };
+
+    const listen = async () => {
+      const credentials = listenEntries.some(entry => entry.ssl) ? getCredentials() : undefined;
+      try {
+        for (const entry of listenEntries) {
+          const server = await listenOn(entry, credentials);
+          endpoints.push(getEndpoint(server, entry));
+        }
       } catch (e) {
-        debug('error starting server');
-        errorFiltered(Servez.MsgType.Error, 'ERROR:', e, e.message, e.stack);
+        for (const server of servers) {
+          server.destroy();
+        }
+        servers = [];
+        endpoints = [];
+        throw e;
+      }
+      servers.forEach((server, ndx) => attach(server, endpoints[ndx]));
+      if (useLocalCA) {
+        renewCredentials(servers.filter((server, ndx) => listenEntries[ndx].ssl), credentials);
       }
 
-      this.close = function() {
-        server.destroy();
-      };
-    })();
-  }
-}
+      listeningPort = endpoints[0].port;
+      logStart();
+      const startInfo = getStartInfo();
+      this.emit('start', startInfo);
+      return startInfo;
+    };
 
-function getFakeCert(dataDir) {
-  if (!dataDir) {
-    throw new Error("dataDir not set");
-  }
+    const start = () => {
+      if (closePromise) {
+        return Promise.reject(new Error('server is closed'));
+      }
+      if (!startPromise) {
+        startPromise = listen().catch((e) => {
+          debug('error starting server');
+          errorFiltered(Servez.MsgType.Error, `ERROR: ${e.message}`);
+          clearInterval(renewIntervalId);
+          closeLiveReload();
+          throw e;
+        });
+      }
+      return startPromise;
+    };
 
-  const cachedCertFilename = path.join(dataDir, 'cached-fake-cert.pem');
-
-  // I don't like the idea of storing this here but where else? Don't want to
-  // store it in the user folder as it should probably not be shared across
-  // projects and don't want some library spewing files into some global space.
-  if (fs.existsSync(cachedCertFilename)) {
-    const stat = fs.statSync(cachedCertFilename);
-    const now = new Date();
-     // 28 days (voodoo. I travel, no idea if expiration dates are timezone dependent)
-     // so cert is valid for 30 days but we make a new one at 28
-    const timeToLiveMs = 1000 * 60 * 60 * 24 * 28;
-    if (now - stat.mtime < timeToLiveMs) {
-      debug(`using cached fake cert: ${cachedCertFilename}`);
-      // scary if this file gets corrupted
-      return fs.readFileSync(cachedCertFilename, 'utf8');
-    }
-  }
+    // Waits for start if it was called. Returns true if listening.
+    const isRunning = async () => {
+      if (startPromise) {
+        try {
+          await startPromise;
+        } catch (e) {
+          return false;
+        }
+      }
+      return servers.some(server => server.listening);
+    };
 
-  const pems = selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
-    algorithm: 'sha256',
-    days: 30,
-    keySize: 2048,
-    extensions: [
-      // {
-      //   name: 'basicConstraints',
-      //   cA: true,
-      // },
-      {
-        name: 'keyUsage',
-        keyCertSign: true,
-        digitalSignature: true,
-        nonRepudiation: true,
-        keyEncipherment: true,
-        dataEncipherment: true,
-      },
-      {
-        name: 'extKeyUsage',
-        serverAuth: true,
-        clientAuth: true,
-        codeSigning: true,
-        timeStamping: true,
-      },
-      {
-        name: 'subjectAltName',
-        altNames: [
-          {
-            // type 2 is DNS
-            type: 2,
-            value: 'localhost',
-          },
-          {
-            type: 2,
-            value: 'localhost.localdomain',
-          },
-          {
-            type: 2,
-            value: 'lvh.me',
-          },
-          {
-            type: 2,
-            value: '*.lvh.me',
-          },
-          {
-            type: 2,
-            value: '[::1]',
-          },
-          {
-            // type 7 is IP
-            type: 7,
-            ip: '127.0.0.1',
-          },
-          {
-            type: 7,
-            ip: 'fe80::1',
-          },
-        ],
-      },
-    ],
-  });
-  const fakeCert = pems.private + pems.cert;
-  debug(`caching fake cert: ${cachedCertFilename}`);
-  fs.writeFileSync(cachedCertFilename, fakeCert);
-  return fakeCert;
+    const stop = async (options = {}) => {
+      if (!await isRunning()) {
+        closeLiveReload();
+        return;
+      }
+      const closed = Promise.all(servers.map(server => new Promise(resolve => server.once('close', resolve))));
+      // live reload's event streams never finish on their own
+      closeLiveReload();
+      if (options.timeout > 0) {
+        debug('closing server, waiting up to %dms', options.timeout);
+        const timeoutId = setTimeout(() => servers.forEach(server => server.destroy()), options.timeout);
+        for (const session of sessions) {
+          session.close();
+        }
+        for (const server of servers) {
+          server.close();
+        }
+        await closed;
+        clearTimeout(timeoutId);
+      } else {
+        for (const server of servers) {
+          server.destroy();
+        }
+        await closed;
+      }
+      clearInterval(renewIntervalId);
+      if (accessLogFile) {
+        await accessLogFile.close();
+      }
+      await this.#accessLogClosing;
+      this.emit('close');
+    };
+
+    const close = (options) => {
+      if (!closePromise) {
+        closePromise = stop(options);
+      }
+      return closePromise;
+    };
+
+    const addresses = () => {
+      return servers.filter(server => server.listening).map(server => server.address());
+    };
+
+    /**
+     * Stops using the servers and returns them so another app can take them over.
+     *
+     * @returns {Promise<Object>} the running servers or undefined if not running.
+     */
+    const handOff = async () => {
+      if (closePromise || !await isRunning()) {
+        closeLiveReload();
+        return undefined;
+      }
+      closePromise = Promise.resolve();
+      for (const [server, event, listener] of serverListeners) {
+        server.off(event, listener);
+      }
+      closeLiveReload();
+      return {servers, endpoints, sessions, renewIntervalId};
+    };
+
+    /**
+     * Uses servers that are already listening instead of starting them.
+     *
+     * @param {Object} running from `handOff`
+     */
+    const takeOver = (running) => {
+      ({servers, endpoints, sessions, renewIntervalId} = running);
+      servers.forEach((server, ndx) => attach(server, endpoints[ndx]));
+      listeningPort = endpoints[0].port;
+      startPromise = Promise.resolve(getStartInfo());
+    };
+
+    return {start, close, addresses, isRunning, handOff, takeOver, logFault};
+  }
 }
 
 module.exports = Servez;
@@ -0,0 +1,52 @@
+'use strict';
+
+const path = require('path');
+const parse = require('url').parse;
+const debug = require('debug')('servez:spa');
+
+const htmlExtensions = ['', '.html', '.htm'];
+
+function acceptsHtml(req) {
+  const accept = req.headers.accept || '';
+  return accept.includes('text/html');
+}
+
+// Paths like /main.js or /images/logo.png are requests for assets
+// so they should 404, not get the app's index.html.
+function looksLikeAsset(pathname) {
+  return !htmlExtensions.includes(path.extname(pathname).toLowerCase());
+}
+
+/**
+ * Single page app history fallback. Requests for pages that
+ * don't exist are served `fallback` so client side routing
+ * can handle them.
+ *
+ * @param {string} fallback path of fallback file relative to root
+ * @param {function} serveFiles middleware used to serve the fallback
+ * @returns {function} middleware
+ */
+function spa(fallback, serveFiles) {
+  const fallbackUrl = `/${fallback.replace(/\\/g, '/').replace(/^\/+/, '')}`;
+
+  return function (req, res, next) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    const pathname = parse(req.url).pathname;
+    if (!acceptsHtml(req) || looksLikeAsset(pathname) || pathname === fallbackUrl) {
+      return next();
+    }
+
+    debug('serving %s for %s', fallbackUrl, req.url);
+    const url = req.url;
+    req.url = fallbackUrl;
+    serveFiles(req, res, (err) => {
+      req.url = url;
+      next(err);
+    });
+  };
+}
+
+module.exports = spa;
@@ -0,0 +1,176 @@
+'use strict';
+
+const parse = require('url').parse;
+const makeGlobMatcher = require('./glob');
+const toBuffer = require('./chunk').toBuffer;
+const debug = require('debug')('servez:throttle');
+
+// bandwidth is bytes per second, times are milliseconds
+const presets = {
+  'slow-3g': {bandwidth: 50 * 1024, latency: 400, jitter: 100},
+  'fast-3g': {bandwidth: 180 * 1024, latency: 150, jitter: 50},
+  '4g': {bandwidth: 1.5 * 1024 * 1024, latency: 50, jitter: 20},
+  // a connection that keeps stopping for a while
+  'flaky': {bandwidth: 128 * 1024, latency: 100, jitter: 300, stallRate: 0.05, stallTime: 2000},
+};
+
+// send in pieces that take this long so throughput is smooth
+const sliceMs = 50;
+
+function toProfile(value) {
+  if (value === false) {
+    return undefined;
+  }
+  const options = typeof value === 'string' ? {preset: value} : value;
+  const preset = options.preset ? presets[options.preset] : {};
+  if (!preset) {
+    throw new Error(`unknown throttle preset: ${options.preset}`);
+  }
+  return Object.assign({bandwidth: 0, latency: 0, jitter: 0, stallRate: 0, stallTime: 0}, preset, options);
+}
+
+function getLatency(profile) {
+  return Math.max(0, profile.latency + (Math.random() * 2 - 1) * profile.jitter);
+}
+
+function getCallback(args) {
+  const cb = args[args.length - 1];
+  return typeof cb === 'function' ? cb : undefined;
+}
+
+// Queues what's written to res and sends it no faster than profile.bandwidth.
+// Writes return false while data is queued so piped streams wait for 'drain'.
+function throttleResponse(res, profile, onDone) {
+  const write = res.write;
+  const end = res.end;
+  const sliceSize = Math.max(1, Math.floor(profile.bandwidth * sliceMs / 1000));
+  const queue = [];
+  let endCallback;
+  let ending = false;
+  let bytes = 0;
+  let startTime;
+  let nextTime = 0;  // when the next slice can be sent
+  let timeoutId;
+
+  function finish() {
+    onDone(bytes, startTime === undefined ? 0 : Date.now() - startTime);
+    end.call(res, endCallback);
+  }
+
+  function schedule() {
+    timeoutId = setTimeout(sendNext, Math.max(0, nextTime - Date.now()));
+  }
+
+  function sendNext() {
+    timeoutId = undefined;
+    const item = queue[0];
+    const slice = item.buffer.subarray(0, sliceSize);
+    item.buffer = item.buffer.subarray(slice.length);
+    if (!item.buffer.length) {
+      queue.shift();
+    }
+    write.call(res, slice, item.buffer.length ? undefined : item.callback);
+    bytes += slice.length;
+    nextTime = Date.now() + slice.length / profile.bandwidth * 1000;
+    if (Math.random() < profile.stallRate) {
+      debug('stalling %s for %dms', res.req.url, profile.stallTime);
+      nextTime += profile.stallTime;
+    }
+    if (queue.length) {
+      schedule();
+    } else if (ending) {
+      finish();
+    } else {
+      res.emit('drain');
+    }
+  }
+
+  function enqueue(chunk, encoding, callback) {
+    const buffer = toBuffer(chunk, encoding);
+    if (buffer && buffer.length) {
+      startTime = startTime === undefined ? Date.now() : startTime;
+      queue.push({buffer, callback});
+      if (timeoutId === undefined) {
+        schedule();
+      }
+    } else if (callback) {
+      process.nextTick(callback);
+    }
+  }
+
+  res.write = function (chunk, encoding) {
+    enqueue(chunk, encoding, getCallback(arguments));
+    return !queue.length;
+  };
+
+  res.end = function (chunk, encoding) {
+    if (ending) {
+      return res;
+    }
+    ending = true;
+    endCallback = getCallback(arguments);
+    enqueue(chunk, encoding);
+    if (!queue.length) {
+      finish();
+    }
+    return res;
+  };
+
+  res.once('close', () => {
+    clearTimeout(timeoutId);
+  });
+}
+
+/**
+ * Simulates slow networks by adding latency to each request and
+ * limiting the bandwidth of each response.
+ *
+ * Profiles are a preset name ('slow-3g', 'fast-3g', '4g', 'flaky') or an object with
+ *
+ * * `preset`: preset to start from
+ * * `bandwidth`: bytes per second (0 = unlimited)
+ * * `latency`: milliseconds to wait before handling each request
+ * * `jitter`: random milliseconds +/- to add to latency
+ * * `stallRate`: chance from 0 to 1 that the connection stalls after each piece sent
+ * * `stallTime`: milliseconds each stall lasts
+ *
+ * @param {string|Object} settings a profile with an optional `paths` map of globs,
+ *     relative to the root url, to profiles or false for no throttling. The first match wins.
+ * @param {Object} [options]
+ * @param {function} [options.onThrottled] called with (bytes, milliseconds) for each throttled response
+ * @returns {function} middleware
+ */
+function throttle(settings, options = {}) {
+  const onThrottled = options.onThrottled || (() => {});
+  const defaultProfile = toProfile(settings);
+  const rules = Object.entries(defaultProfile.paths || {}).map(([glob, value]) => ({
+    isMatch: makeGlobMatcher(glob),
+    profile: toProfile(value),
+  }));
+
+  function getProfile(req) {
+    const relPath = parse(req.url).pathname.replace(/^\/+/, '');
+    const rule = rules.find(rule => rule.isMatch(relPath));
+    return rule ? rule.profile : defaultProfile;
+  }
+
+  return function (req, res, next) {
+    const profile = getProfile(req);
+    if (!profile) {
+      return next();
+    }
+    if (profile.bandwidth > 0) {
+      throttleResponse(res, profile, onThrottled);
+    }
+    const latency = getLatency(profile);
+    if (latency > 0) {
+      setTimeout(next, latency);
+    } else {
+      next();
+    }
+  };
+}
+
+throttle.presets = Object.keys(presets);
+
+module.exports = throttle;
@@ -0,0 +1,39 @@
+'use strict';
+
+const fs = require('fs');
+const debug = require('debug')('servez:watched-file');
+
+/**
+ * Re-reads a file when it changes so it can be edited while servez is running.
+ * A missing or unreadable file gives no entries.
+ *
+ * @param {string} filename
+ * @param {function(string): Array} parseFn makes the entries from the file's contents
+ * @returns {function(): Array} returns the entries. The same array until the file changes.
+ */
+function watchedFile(filename, parseFn) {
+  let key;
+  let entries = [];
+  return function getEntries() {
+    let stat;
+    try {
+      stat = fs.statSync(filename);
+    } catch (e) {
+      stat = undefined;
+    }
+    const newKey = stat ? `${stat.mtimeMs}:${stat.size}` : '';
+    if (newKey !== key) {
+      key = newKey;
+      try {
+        entries = stat ? parseFn(fs.readFileSync(filename, 'utf8')) : [];
+        debug('loaded %d entries from %s', entries.length, filename);
+      } catch (e) {
+        debug('could not read %s: %s', filename, e);
+        entries = [];
+      }
+    }
+    return entries;
+  };
+}
+
+module.exports = watchedFile;
@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const debug = require('debug')('servez:webdav');
+const resolveFile = require('./resolve-file');
+
+const isHidden = resolveFile.isHidden;
+const isInside = resolveFile.isInside;
+const decodePathname = resolveFile.decodePathname;
+
+const readMethods = ['OPTIONS', 'GET', 'HEAD', 'PROPFIND'];
+const writeMethods = ['PUT', 'DELETE', 'MKCOL', 'MOVE', 'COPY'];
+
+function escapeXml(s) {
+  return String(s)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;');
+}
+
+function encodePath(pathname) {
+  return pathname.split('/').map(encodeURIComponent).join('/');
+}
+
+function makeResponse(href, name, stat) {
+  const isDir = stat.isDirectory();
+  const props = [
+    `<D:displayname>${escapeXml(name)}</D:displayname>`,
+    `<D:creationdate>${stat.birthtime.toISOString()}</D:creationdate>`,
+    `<D:getlastmodified>${stat.mtime.toUTCString()}</D:getlastmodified>`,
+    `<D:getetag>"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"</D:getetag>`,
+  ];
+  if (isDir) {
+    props.push('<D:resourcetype><D:collection/></D:resourcetype>');
+  } else {
+    props.push(
+      '<D:resourcetype/>',
+      `<D:getcontentlength>${stat.size}</D:getcontentlength>`,
+      `<D:getcontenttype>${escapeXml(mime.lookup(name) || 'application/octet-stream')}</D:getcontenttype>`,
+    );
+  }
+  return `<D:response>
+<D:href>${escapeXml(encodePath(href))}</D:href>
+<D:propstat>
+<D:prop>
+${props.join('\n')}
+</D:prop>
+<D:status>HTTP/1.1 200 OK</D:status>
+</D:propstat>
+</D:response>`;
+}
+
+/**
+ * Handles the WebDAV methods that express.static and the writable
+ * middleware don't, so root can be mounted as a network drive.
+ * GET and HEAD are left to express.static. PUT, DELETE, MKCOL, MOVE
+ * and COPY are left to the writable middleware.
+ *
+ * @param {string} root folder being served
+ * @param {Object} options
+ * @param {boolean} [options.hidden] true = include dotfiles
+ * @param {boolean} [options.writable] true = advertise write methods
+ * @returns {function} middleware
+ */
+function webdav(root, options) {
+  const absRoot = path.resolve(root);
+  const allow = [...readMethods, ...(options.writable ? writeMethods : [])].join(', ');
+
+  function handleOptions(req, res) {
+    res.setHeader('DAV', '1');
+    res.setHeader('MS-Author-Via', 'DAV');
+    res.setHeader('Allow', allow);
+    res.setHeader('Content-Length', '0');
+    res.end();
+  }
+
+  async function handlePropfind(req, res, next) {
+    req.resume();  // we ignore the body and always send all properties
+
+    const pathname = decodePathname(req.url);
+    if (pathname === undefined) {
+      res.statusCode = 400;
+      return res.end();
+    }
+    const filename = path.join(absRoot, pathname);
+    if (!isInside(filename, absRoot) || (!options.hidden && isHidden(pathname))) {
+      return next();
+    }
+
+    let stat;
+    try {
+      stat = await fs.promises.stat(filename);
+    } catch (e) {
+      return next();
+    }
+
+    const depth = req.headers.depth === '0' ? 0 : 1;
+    const isDir = stat.isDirectory();
+    const dirPathname = isDir && !pathname.endsWith('/') ? `${pathname}/` : pathname;
+    const responses = [makeResponse(dirPathname, path.basename(filename), stat)];
+    if (isDir && depth > 0) {
+      const names = (await fs.promises.readdir(filename))
+        .filter(name => options.hidden || !name.startsWith('.'));
+      for (const name of names) {
+        let childStat;
+        try {
+          childStat = await fs.promises.stat(path.join(filename, name));
+        } catch (e) {
+          // broken symlink or deleted since readdir
+          continue;
+        }
+        const href = `${dirPathname}${name}${childStat.isDirectory() ? '/' : ''}`;
+        responses.push(makeResponse(href, name, childStat));
+      }
+    }
+
+    debug('PROPFIND %s depth %d: %d entries', pathname, depth, responses.length);
+    const body = `<?xml version="1.0" encoding="utf-8"?>
+<D:multistatus xmlns:D="DAV:">
+${responses.join('\n')}
+</D:multistatus>
+`;
+    res.statusCode = 207;
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Content-Length', Buffer.byteLength(body));
+    res.end(body);
+  }
+
+  return function (req, res, next) {
+    switch (req.method) {
+      case 'OPTIONS':
+        return handleOptions(req, res);
+      case 'PROPFIND':
+        return handlePropfind(req, res, next).catch(next);
+      default:
+        return next();
+    }
+  };
+}
+
+module.exports = webdav;
@@ -0,0 +1,292 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {Transform} = require('stream');
+const {pipeline} = require('stream/promises');
+const busboy = require('busboy');
+const debug = require('debug')('servez:writable');
+const resolveFile = require('./resolve-file');
+
+const isHidden = resolveFile.isHidden;
+const isInside = resolveFile.isInside;
+const decodePathname = resolveFile.decodePathname;
+
+const defaultMaxSize = 1024 * 1024 * 1024;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function statOrUndefined(filename) {
+  try {
+    return await fs.promises.stat(filename);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+}
+
+// Writes to a temp file next to filename and then renames it so
+// nothing ever sees a half written file.
+async function writeAtomic(stream, filename, maxSize) {
+  const dir = path.dirname(filename);
+  // starts with '.' so it's hidden from listings and live reload
+  const tempFilename = path.join(dir, `.servez-upload-${crypto.randomBytes(8).toString('hex')}`);
+  let size = 0;
+  // Too big uploads are read to the end but not written. Stopping
+  // early would stop multipart parsing and the client would not
+  // get a response.
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(null, size > maxSize ? undefined : chunk);
+    },
+  });
+  try {
+    await pipeline(stream, limit, fs.createWriteStream(tempFilename, {flags: 'wx'}));
+    if (size > maxSize) {
+      throw httpError(413, `upload larger than ${maxSize} bytes`);
+    }
+    await fs.promises.rename(tempFilename, filename);
+  } catch (e) {
+    await fs.promises.rm(tempFilename, {force: true});
+    throw e;
+  }
+  return size;
+}
+
+/**
+ * Lets clients change files under root.
+ *
+ * * `PUT` writes the request body to the file
+ * * `POST` multipart/form-data to a folder saves each file in the form to that folder
+ * * `DELETE` deletes a file or folder
+ * * `MKCOL` makes a folder
+ * * `MOVE` and `COPY` move or copy a file or folder to the url in the `Destination` header
+ *
+ * @param {string} root folder being served
+ * @param {Object} options
+ * @param {boolean} [options.hidden] true = allow writing dotfiles
+ * @param {number} [options.maxSize] max bytes per uploaded file
+ * @param {function} [options.onWrite] called with ({method, path}) after each change
+ * @param {function} [options.checkDestination] called with (req, pathname) for MOVE and COPY.
+ *     Returns 200 if the request can write to the destination, otherwise a status to send.
+ * @returns {function} middleware
+ */
+function writable(root, options) {
+  const maxSize = options.maxSize || defaultMaxSize;
+  const onWrite = options.onWrite || (() => {});
+  const checkDestination = options.checkDestination || (() => 200);
+  const absRoot = path.resolve(root);
+  let realRoot;
+
+  async function getRealRoot() {
+    if (!realRoot) {
+      realRoot = await fs.promises.realpath(root);
+    }
+    return realRoot;
+  }
+
+  // Makes sure the path, and any symlinks in its parent folders,
+  // stay inside root.
+  async function resolveWritePath(url) {
+    const pathname = decodePathname(url);
+    if (pathname === undefined) {
+      throw httpError(400, 'bad path');
+    }
+    const filename = path.resolve(absRoot, `.${pathname}`);
+    if (!isInside(filename, absRoot) || (!options.hidden && isHidden(pathname))) {
+      throw httpError(403, 'forbidden');
+    }
+    if (filename === absRoot) {
+      return {pathname, filename: await getRealRoot()};
+    }
+    const dir = path.dirname(filename);
+    let realDir;
+    try {
+      realDir = await fs.promises.realpath(dir);
+    } catch (e) {
+      throw httpError(409, 'parent folder does not exist');
+    }
+    if (!isInside(realDir, await getRealRoot())) {
+      throw httpError(403, 'forbidden');
+    }
+    return {pathname, filename: path.join(realDir, path.basename(filename))};
+  }
+
+  async function handlePut(req, res) {
+    const {pathname, filename} = await resolveWritePath(req.url);
+    const contentLength = parseInt(req.headers['content-length']);
+    if (contentLength > maxSize) {
+      throw httpError(413, `upload larger than ${maxSize} bytes`);
+    }
+    const stat = await statOrUndefined(filename);
+    if (stat && stat.isDirectory()) {
+      throw httpError(409, 'is a folder');
+    }
+    const size = await writeAtomic(req, filename, maxSize);
+    debug('wrote %d bytes to %s', size, filename);
+    onWrite({method: req.method, path: pathname});
+    res.statusCode = stat ? 204 : 201;
+    res.end();
+  }
+
+  async function handleDelete(req, res) {
+    const {pathname, filename} = await resolveWritePath(req.url);
+    if (filename === await getRealRoot()) {
+      throw httpError(403, 'can not delete root');
+    }
+    const stat = await fs.promises.lstat(filename).catch(() => undefined);
+    if (!stat) {
+      throw httpError(404, 'not found');
+    }
+    await fs.promises.rm(filename, {recursive: true});
+    debug('deleted %s', filename);
+    onWrite({method: req.method, path: pathname});
+    res.statusCode = 204;
+    res.end();
+  }
+
+  async function handleMkcol(req, res) {
+    const {pathname, filename} = await resolveWritePath(req.url);
+    if (await statOrUndefined(filename)) {
+      throw httpError(405, 'already exists');
+    }
+    await fs.promises.mkdir(filename);
+    debug('made folder %s', filename);
+    onWrite({method: req.method, path: pathname});
+    res.statusCode = 201;
+    res.end();
+  }
+
+  // MOVE and COPY from WebDAV
+  async function handleMoveOrCopy(req, res) {
+    const src = await resolveWritePath(req.url);
+    if (!req.headers.destination) {
+      throw httpError(400, 'no destination');
+    }
+    const destPathname = new URL(req.headers.destination, 'http://localhost').pathname;
+    const destStatus = checkDestination(req, destPathname);
+    if (destStatus !== 200) {
+      throw httpError(destStatus, 'not allowed to write to destination');
+    }
+    const dest = await resolveWritePath(destPathname);
+    const realRoot = await getRealRoot();
+    if (src.filename === realRoot || dest.filename === realRoot) {
+      throw httpError(403, 'can not move or copy root');
+    }
+    if (isInside(dest.filename, src.filename)) {
+      throw httpError(403, 'can not move or copy into itself');
+    }
+    if (!await fs.promises.lstat(src.filename).catch(() => undefined)) {
+      throw httpError(404, 'not found');
+    }
+    const destExists = !!await fs.promises.lstat(dest.filename).catch(() => undefined);
+    if (destExists) {
+      if ((req.headers.overwrite || 'T').toUpperCase() === 'F') {
+        throw httpError(412, 'destination exists');
+      }
+      await fs.promises.rm(dest.filename, {recursive: true});
+    }
+    if (req.method === 'MOVE') {
+      await fs.promises.rename(src.filename, dest.filename);
+    } else {
+      await fs.promises.cp(src.filename, dest.filename, {recursive: true});
+    }
+    debug('%s %s to %s', req.method, src.filename, dest.filename);
+    onWrite({method: req.method, path: `${src.pathname} -> ${dest.pathname}`});
+    res.statusCode = destExists ? 204 : 201;
+    res.end();
+  }
+
+  async function handlePost(req, res) {
+    const {pathname, filename} = await resolveWritePath(req.url);
+    const stat = await statOrUndefined(filename);
+    if (!stat || !stat.isDirectory()) {
+      throw httpError(405, 'can only upload to a folder');
+    }
+    // Files are written into the folder so it can't be a symlink out of root.
+    const dir = await fs.promises.realpath(filename);
+    if (!isInside(dir, await getRealRoot())) {
+      throw httpError(403, 'forbidden');
+    }
+
+    let bb;
+    try {
+      bb = busboy({headers: req.headers});
+    } catch (e) {
+      throw httpError(415, 'expected multipart/form-data');
+    }
+    const writes = [];
+    const names = [];
+    bb.on('file', (fieldName, stream, info) => {
+      const name = path.basename((info.filename || '').replace(/\\/g, '/'));
+      if (!name || name === '..' || (!options.hidden && name.startsWith('.'))) {
+        stream.resume();
+        return;
+      }
+      names.push(name);
+      const write = writeAtomic(stream, path.join(dir, name), maxSize);
+      // checked after the form is done
+      write.catch(() => {});
+      writes.push(write);
+    });
+    const done = new Promise((resolve, reject) => {
+      bb.on('close', resolve);
+      bb.on('error', reject);
+    });
+    req.pipe(bb);
+    await done;
+    const results = await Promise.allSettled(writes);
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+    debug('uploaded %o to %s', names, dir);
+    for (const name of names) {
+      onWrite({method: req.method, path: path.posix.join(pathname, name)});
+    }
+
+    // A plain HTML form expects a page, fetch expects data.
+    if (req.accepts(['json', 'html']) === 'html') {
+      res.redirect(303, req.originalUrl);
+    } else {
+      res.status(201).json({files: names});
+    }
+  }
+
+  const handlers = {
+    PUT: handlePut,
+    POST: handlePost,
+    DELETE: handleDelete,
+    MKCOL: handleMkcol,
+    MOVE: handleMoveOrCopy,
+    COPY: handleMoveOrCopy,
+  };
+
+  return function (req, res, next) {
+    const handler = handlers[req.method];
+    if (!handler) {
+      return next();
+    }
+
+    handler(req, res).catch((err) => {
+      if (!err.status) {
+        return next(err);
+      }
+      debug('%s %s failed: %s', req.method, req.url, err.message);
+      // drain the body so the client sees the response
+      req.resume();
+      res.statusCode = err.status;
+      res.setHeader('Content-Type', 'text/plain');
+      res.end(err.message);
+    });
+  };
+}
+
+module.exports = writable;
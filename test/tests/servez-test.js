@@ -1,17 +1,63 @@
 const assert = require('chai').assert;
 const Servez = require('../../lib/servez');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const zlib = require('zlib');
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
 
 const root = path.join(__dirname, '..', 'data');
 const fileTxtContents = fs.readFileSync(path.join(root, 'file.txt'), 'utf8');
 const fooHtmlContents = fs.readFileSync(path.join(root, 'foo.html'), 'utf8');
 const fileTxtGzContents = fs.readFileSync(path.join(root, 'file.txt.gz'));
+const imageSvgContents = fs.readFileSync(path.join(root, 'image.svg'), 'utf8');
+const folderIndexHtmlContents = fs.readFileSync(path.join(root, 'folder', 'index.html'), 'utf8');
+
+function makeBackend(handler) {
+  return new Promise((resolve) => {
+    const backend = http.createServer(handler);
+    backend.listen(0, '127.0.0.1', () => {
+      resolve({backend, origin: `http://127.0.0.1:${backend.address().port}`});
+    });
+  });
+}
+
+// fetch adds `Cache-Control: no-cache` to conditional requests so use http to check for 304s
+function httpGet(url, headers) {
+  return new Promise((resolve, reject) => {
+    http.get(url, {headers}, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+}
+
+function http2Get(baseUrl, pathname, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const session = http2.connect(baseUrl, {rejectUnauthorized: false});
+    session.on('error', reject);
+    const req = session.request(Object.assign({':path': pathname}, headers));
+    const chunks = [];
+    let responseHeaders;
+    req.on('response', (h) => {
+      responseHeaders = h;
+    });
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      session.close();
+      resolve({headers: responseHeaders, body: Buffer.concat(chunks)});
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
 
 function makeServer(options = {}) {
   return new Promise((resolve, reject) => {
     const servez = new Servez(Object.assign({}, options, {
-      root,
+      root: options.root || root,
       port: 8080,
       scan: options.scan === undefined ? true : options.scan,
       extensions: ['html'],
@@ -250,4 +296,1277 @@ describe('servez-lib', () => {
     assert.strictEqual(res.headers.get('fruit'), 'banana');
   });
 
-});
\ No newline at end of file
+  it('injects live reload script into html', async() => {
+    const {servez, baseUrl} = await makeServer({liveReload: true, index: true});
+    server = servez;
+    const res1 = await fetch(`${baseUrl}/foo.html`);
+    const text1 = await res1.text();
+    assert.include(text1, '/__servez/live-reload');
+    const res2 = await fetch(`${baseUrl}/folder/`);
+    const text2 = await res2.text();
+    assert.include(text2, '/__servez/live-reload');
+    const res3 = await fetch(`${baseUrl}/file.txt`);
+    const text3 = await res3.text();
+    assert.strictEqual(text3, fileTxtContents);
+  });
+
+  it('emits change when a file changes if liveReload true', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.writeFileSync(path.join(tempRoot, 'style.css'), 'body { color: red; }');
+      const {servez, baseUrl} = await makeServer({liveReload: true, root: tempRoot});
+      server = servez;
+      const res = await fetch(`${baseUrl}/__servez/live-reload`);
+      assert.strictEqual(res.headers.get('content-type'), 'text/event-stream');
+      const reader = res.body.getReader();
+      const changed = new Promise(resolve => servez.once('change', resolve));
+      fs.writeFileSync(path.join(tempRoot, 'style.css'), 'body { color: blue; }');
+      const info = await changed;
+      assert.strictEqual(info.path, '/style.css');
+      assert.strictEqual(info.type, 'css');
+      let data = '';
+      while (!data.includes('data:')) {
+        const {value} = await reader.read();
+        data += Buffer.from(value).toString();
+      }
+      const change = JSON.parse(/data: (.*)/.exec(data)[1]);
+      assert.isFalse(change.reload);
+      assert.deepEqual(change.css, ['/style.css']);
+      reader.cancel();
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('injects live reload script into mounted html', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    const mountRoot = path.join(tempRoot, 'mount');
+    const otherRoot = path.join(tempRoot, 'other');
+    try {
+      fs.mkdirSync(mountRoot);
+      fs.mkdirSync(otherRoot);
+      fs.writeFileSync(path.join(mountRoot, 'foo.html'), '<body>mounted</body>');
+      const {servez, baseUrl} = await makeServer({
+        liveReload: true,
+        mounts: [
+          {path: '/', root: mountRoot},
+          {path: '/other', root: otherRoot},
+        ],
+      });
+      server = servez;
+      const text = await (await fetch(`${baseUrl}/foo.html`)).text();
+      assert.match(text, /^<body>mounted[\s\S]*\/__servez\/live-reload/);
+
+      const changed = new Promise(resolve => servez.once('change', resolve));
+      fs.writeFileSync(path.join(otherRoot, 'style.css'), 'body { color: blue; }');
+      const info = await changed;
+      assert.strictEqual(info.path, '/other/style.css');
+      assert.strictEqual(info.filename, path.join(otherRoot, 'style.css'));
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('serves spa fallback for html requests that match no file', async() => {
+    const {servez, baseUrl} = await makeServer({spa: 'folder/index.html', dirs: true});
+    server = servez;
+    const headers = {'Accept': 'text/html,*/*'};
+    const res1 = await fetch(`${baseUrl}/settings/profile`, {headers});
+    assert.strictEqual(res1.status, 200);
+    assert.strictEqual(await res1.text(), folderIndexHtmlContents);
+    const res2 = await fetch(`${baseUrl}/settings/missing.js`, {headers});
+    assert.strictEqual(res2.status, 404);
+    const res3 = await fetch(`${baseUrl}/settings/profile`, {headers: {'Accept': 'application/json'}});
+    assert.strictEqual(res3.status, 404);
+    const res4 = await fetch(`${baseUrl}/file.txt`, {headers});
+    assert.strictEqual(await res4.text(), fileTxtContents);
+    const res5 = await fetch(`${baseUrl}/`, {headers});
+    assert.include(await res5.text(), 'folder listing');
+  });
+
+  it('compresses on the fly when compress auto', async() => {
+    const {servez, baseUrl} = await makeServer({compress: 'auto'});
+    server = servez;
+    const res1 = await fetch(`${baseUrl}/image.svg`, {headers: {'Accept-Encoding': 'gzip;q=0.5, br'}});
+    assert.strictEqual(res1.headers.get('content-encoding'), 'br');
+    assert.strictEqual(await res1.text(), imageSvgContents);
+    const res2 = await fetch(`${baseUrl}/image.svg`, {headers: {'Accept-Encoding': 'br;q=0, gzip'}});
+    assert.strictEqual(res2.headers.get('content-encoding'), 'gzip');
+    assert.strictEqual(await res2.text(), imageSvgContents);
+    const res3 = await fetch(`${baseUrl}/image.svg`, {headers: {'Accept-Encoding': 'identity'}});
+    assert.isNull(res3.headers.get('content-encoding'));
+    assert.strictEqual(res3.headers.get('vary'), 'Accept-Encoding');
+    assert.strictEqual(await res3.text(), imageSvgContents);
+    const res4 = await fetch(`${baseUrl}/image.png`, {headers: {'Accept-Encoding': 'gzip'}});
+    assert.isNull(res4.headers.get('content-encoding'));
+  });
+
+  it('streams files bigger than the compress cache', async() => {
+    const {servez, baseUrl} = await makeServer({compress: 'auto', compressCacheSize: 1024});
+    server = servez;
+    for (const encoding of ['gzip', 'br']) {
+      const res = await fetch(`${baseUrl}/image.svg`, {headers: {'Accept-Encoding': encoding}});
+      assert.strictEqual(res.headers.get('content-encoding'), encoding);
+      assert.isNull(res.headers.get('content-length'));
+      assert.strictEqual(await res.text(), imageSvgContents);
+    }
+  });
+
+  it('prefers precompressed files over compress auto', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.writeFileSync(path.join(tempRoot, 'big.txt'), 'a'.repeat(4096));
+      fs.writeFileSync(path.join(tempRoot, 'big.txt.gz'), zlib.gzipSync('precompressed'));
+      const {servez, baseUrl} = await makeServer({compress: 'auto', gzip: true, root: tempRoot});
+      server = servez;
+      const res = await fetch(`${baseUrl}/big.txt`, {headers: {'Accept-Encoding': 'br, gzip'}});
+      assert.strictEqual(res.headers.get('content-encoding'), 'gzip');
+      assert.strictEqual(await res.text(), 'precompressed');
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('proxies requests to backend', async() => {
+    const {backend, origin} = await makeBackend((req, res) => {
+      if (req.url === '/api/redirect') {
+        res.writeHead(302, {'Location': `${origin}/api/target`});
+        res.end();
+        return;
+      }
+      let body = '';
+      req.on('data', (chunk) => body += chunk);
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({method: req.method, url: req.url, host: req.headers.host, body}));
+      });
+    });
+    try {
+      const {servez, baseUrl} = await makeServer({proxy: {'/api': origin}});
+      server = servez;
+      const res1 = await fetch(`${baseUrl}/api/users?id=1`, {method: 'POST', body: 'hello'});
+      assert.deepEqual(await res1.json(), {
+        method: 'POST',
+        url: '/api/users?id=1',
+        host: new URL(origin).host,
+        body: 'hello',
+      });
+      const res2 = await fetch(`${baseUrl}/api/redirect`, {redirect: 'manual'});
+      assert.strictEqual(res2.status, 302);
+      assert.strictEqual(res2.headers.get('location'), `${baseUrl}/api/target`);
+      const res3 = await fetch(`${baseUrl}/apiary`);
+      assert.strictEqual(res3.status, 404);
+      const res4 = await fetch(`${baseUrl}/file.txt`);
+      assert.strictEqual(await res4.text(), fileTxtContents);
+    } finally {
+      backend.close();
+    }
+  });
+
+  it('ends proxied responses when the backend dies', async() => {
+    const {backend, origin} = await makeBackend((req, res) => {
+      res.writeHead(200, {'Content-Length': 1000});
+      res.write('partial');
+      setTimeout(() => res.socket.destroy(), 50);
+    });
+    try {
+      const {servez, baseUrl} = await makeServer({proxy: {'/api': origin}});
+      server = servez;
+      const res = await fetch(`${baseUrl}/api/abort`, {signal: AbortSignal.timeout(1000)});
+      assert.strictEqual(res.status, 200);
+      let error;
+      try {
+        await res.text();
+      } catch (e) {
+        error = e;
+      }
+      assert.ok(error, 'body should be cut off');
+      assert.notStrictEqual(error.name, 'TimeoutError');
+    } finally {
+      backend.close();
+    }
+  });
+
+  it('proxies websocket upgrades and checks auth', async() => {
+    const {backend, origin} = await makeBackend((req, res) => res.end());
+    backend.on('upgrade', (req, socket) => {
+      socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: test\r\nConnection: Upgrade\r\n\r\n');
+      socket.pipe(socket);
+    });
+    const upgrade = (port, headers = {}) => new Promise((resolve, reject) => {
+      const req = http.request({
+        port,
+        path: '/socket',
+        headers: Object.assign({'Connection': 'Upgrade', 'Upgrade': 'test'}, headers),
+      });
+      req.on('upgrade', (res, socket) => resolve({res, socket}));
+      req.on('response', (res) => resolve({res}));
+      req.on('error', reject);
+      req.end();
+    });
+    try {
+      const username = 'foo';
+      const password = 'bar';
+      const {servez, startInfo} = await makeServer({proxy: {'/socket': origin}, username, password});
+      server = servez;
+      const denied = await upgrade(startInfo.port);
+      assert.strictEqual(denied.res.statusCode, 401);
+      const {res, socket} = await upgrade(startInfo.port, {
+        'Authorization': `Basic ${Buffer.from(username + ":" + password).toString('base64')}`,
+      });
+      assert.strictEqual(res.statusCode, 101);
+      const echo = new Promise(resolve => socket.once('data', data => resolve(data.toString())));
+      socket.write('ping');
+      assert.strictEqual(await echo, 'ping');
+      socket.destroy();
+    } finally {
+      backend.close();
+    }
+  });
+
+  it('lists folder as json or text', async() => {
+    const {servez, baseUrl} = await makeServer({dirs: true});
+    server = servez;
+    const res1 = await fetch(`${baseUrl}/`, {headers: {'Accept': 'application/json'}});
+    assert.strictEqual(res1.headers.get('content-type'), 'application/json; charset=utf-8');
+    const entries = await res1.json();
+    assert.strictEqual(entries[0].name, 'folder');
+    assert.strictEqual(entries[0].type, 'directory');
+    const fileTxt = entries.find(entry => entry.name === 'file.txt');
+    assert.strictEqual(fileTxt.type, 'file');
+    assert.strictEqual(fileTxt.size, fileTxtContents.length);
+    assert.strictEqual(fileTxt.mimeType, 'text/plain');
+    assert.deepEqual(fileTxt.compressed, ['gzip']);
+    assert.isOk(Date.parse(fileTxt.mtime));
+    const res2 = await fetch(`${baseUrl}/folder/?format=text`);
+    assert.strictEqual(await res2.text(), 'empty.txt\nindex.html\n');
+    const res3 = await fetch(`${baseUrl}/folder/`);
+    assert.include(await res3.text(), '<table id="files">');
+  });
+
+  it('downloads folder as zip or tar.gz', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.mkdirSync(path.join(tempRoot, 'sub'));
+      fs.writeFileSync(path.join(tempRoot, 'sub', 'a.txt'), 'aaa');
+      fs.writeFileSync(path.join(tempRoot, '.secret'), 'shh');
+      fs.writeFileSync(path.join(outside, 'outside.txt'), 'outside');
+      fs.symlinkSync(outside, path.join(tempRoot, 'link'));
+      const {servez, baseUrl} = await makeServer({dirs: true, root: tempRoot});
+      server = servez;
+
+      const res1 = await fetch(`${baseUrl}/?download=zip`);
+      assert.strictEqual(res1.headers.get('content-type'), 'application/zip');
+      assert.match(res1.headers.get('content-disposition'), /^attachment; filename\*=UTF-8''.*\.zip$/);
+      const zip = Buffer.from(await res1.arrayBuffer());
+      assert.strictEqual(zip.subarray(0, 2).toString(), 'PK');
+      assert.include(zip.toString('latin1'), 'sub/a.txt');
+      assert.notInclude(zip.toString('latin1'), '.secret');
+      assert.notInclude(zip.toString('latin1'), 'outside.txt');
+
+      const res2 = await fetch(`${baseUrl}/sub/?download=tar.gz`);
+      assert.strictEqual(res2.headers.get('content-type'), 'application/gzip');
+      const tar = zlib.gunzipSync(Buffer.from(await res2.arrayBuffer()));
+      assert.strictEqual(tar.subarray(0, 5).toString(), 'a.txt');
+      assert.strictEqual(tar.subarray(512, 515).toString(), 'aaa');
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+      fs.rmSync(outside, {recursive: true, force: true});
+    }
+  });
+
+  it('writes files when writable', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      const {servez, baseUrl} = await makeServer({writable: true, maxUploadSize: 100, root: tempRoot});
+      server = servez;
+      const res1 = await fetch(`${baseUrl}/new.txt`, {method: 'PUT', body: 'hello'});
+      assert.strictEqual(res1.status, 201);
+      assert.strictEqual(fs.readFileSync(path.join(tempRoot, 'new.txt'), 'utf8'), 'hello');
+      const res2 = await fetch(`${baseUrl}/new.txt`, {method: 'PUT', body: 'world'});
+      assert.strictEqual(res2.status, 204);
+      assert.strictEqual(fs.readFileSync(path.join(tempRoot, 'new.txt'), 'utf8'), 'world');
+      const res3 = await fetch(`${baseUrl}/big.txt`, {method: 'PUT', body: 'a'.repeat(101)});
+      assert.strictEqual(res3.status, 413);
+      assert.isFalse(fs.existsSync(path.join(tempRoot, 'big.txt')));
+      const res4 = await fetch(`${baseUrl}/sub`, {method: 'MKCOL'});
+      assert.strictEqual(res4.status, 201);
+      const formData = new FormData();
+      formData.append('file', new Blob(['uploaded']), 'up.txt');
+      const res5 = await fetch(`${baseUrl}/sub/`, {method: 'POST', body: formData});
+      assert.strictEqual(res5.status, 201);
+      assert.deepEqual(await res5.json(), {files: ['up.txt']});
+      assert.strictEqual(fs.readFileSync(path.join(tempRoot, 'sub', 'up.txt'), 'utf8'), 'uploaded');
+      const res6 = await fetch(`${baseUrl}/sub`, {method: 'DELETE'});
+      assert.strictEqual(res6.status, 204);
+      assert.isFalse(fs.existsSync(path.join(tempRoot, 'sub')));
+      const res7 = await fetch(`${baseUrl}/missing/new.txt`, {method: 'PUT', body: 'hello'});
+      assert.strictEqual(res7.status, 409);
+      const res8 = await fetch(`${baseUrl}/..%2fescaped.txt`, {method: 'PUT', body: 'hello'});
+      assert.strictEqual(res8.status, 403);
+      assert.deepEqual(fs.readdirSync(tempRoot), ['new.txt']);
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('does not write through symlinks out of root', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.symlinkSync(outside, path.join(tempRoot, 'link'));
+      const {servez, baseUrl} = await makeServer({writable: true, root: tempRoot});
+      server = servez;
+      const formData = new FormData();
+      formData.append('file', new Blob(['evil']), 'evil.txt');
+      const res1 = await fetch(`${baseUrl}/link`, {method: 'POST', body: formData});
+      assert.strictEqual(res1.status, 403);
+      const res2 = await fetch(`${baseUrl}/link/evil.txt`, {method: 'PUT', body: 'evil'});
+      assert.strictEqual(res2.status, 403);
+      assert.deepEqual(fs.readdirSync(outside), []);
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+      fs.rmSync(outside, {recursive: true, force: true});
+    }
+  });
+
+  it('does not write files if writable false', async() => {
+    const {servez, baseUrl} = await makeServer();
+    server = servez;
+    const res = await fetch(`${baseUrl}/new.txt`, {method: 'PUT', body: 'hello'});
+    assert.strictEqual(res.status, 404);
+    assert.isFalse(fs.existsSync(path.join(root, 'new.txt')));
+  });
+
+  it('answers webdav PROPFIND and OPTIONS', async() => {
+    const {servez, baseUrl} = await makeServer({webdav: true});
+    server = servez;
+    const res1 = await fetch(`${baseUrl}/`, {method: 'OPTIONS'});
+    assert.strictEqual(res1.headers.get('dav'), '1');
+    assert.notInclude(res1.headers.get('allow'), 'PUT');
+    const res2 = await fetch(`${baseUrl}/folder`, {method: 'PROPFIND', headers: {'Depth': '1'}});
+    assert.strictEqual(res2.status, 207);
+    const xml = await res2.text();
+    const hrefs = [...xml.matchAll(/<D:href>(.*?)<\/D:href>/g)].map(m => m[1]);
+    assert.deepEqual(hrefs.sort(), ['/folder/', '/folder/empty.txt', '/folder/index.html']);
+    assert.include(xml, '<D:collection/>');
+    assert.include(xml, '<D:getcontenttype>text/html</D:getcontenttype>');
+    const res3 = await fetch(`${baseUrl}/folder`, {method: 'PROPFIND', headers: {'Depth': '0'}});
+    const hrefs0 = [...(await res3.text()).matchAll(/<D:href>(.*?)<\/D:href>/g)].map(m => m[1]);
+    assert.deepEqual(hrefs0, ['/folder/']);
+    const res4 = await fetch(`${baseUrl}/missing`, {method: 'PROPFIND'});
+    assert.strictEqual(res4.status, 404);
+  });
+
+  it('answers webdav PROPFIND when root is relative', async() => {
+    const {servez, baseUrl} = await makeServer({webdav: true, root: `.${path.sep}${path.relative(process.cwd(), root)}`});
+    server = servez;
+    const res = await fetch(`${baseUrl}/folder`, {method: 'PROPFIND', headers: {'Depth': '0'}});
+    assert.strictEqual(res.status, 207);
+    await res.text();
+  });
+
+  it('moves and copies with webdav when writable', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.writeFileSync(path.join(tempRoot, 'a.txt'), 'aaa');
+      const {servez, baseUrl} = await makeServer({webdav: true, writable: true, root: tempRoot});
+      server = servez;
+      const res1 = await fetch(`${baseUrl}/a.txt`, {method: 'COPY', headers: {'Destination': `${baseUrl}/b.txt`}});
+      assert.strictEqual(res1.status, 201);
+      const res2 = await fetch(`${baseUrl}/b.txt`, {method: 'MOVE', headers: {'Destination': `${baseUrl}/c.txt`}});
+      assert.strictEqual(res2.status, 201);
+      const res3 = await fetch(`${baseUrl}/a.txt`, {method: 'MOVE', headers: {'Destination': `${baseUrl}/c.txt`, 'Overwrite': 'F'}});
+      assert.strictEqual(res3.status, 412);
+      assert.deepEqual(fs.readdirSync(tempRoot).sort(), ['a.txt', 'c.txt']);
+      assert.strictEqual(fs.readFileSync(path.join(tempRoot, 'c.txt'), 'utf8'), 'aaa');
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('logs requests after they finish when accessLog set', async() => {
+    const lines = [];
+    const logger = {
+      log(...args) { lines.push(args.join(' ')); },
+      error() {},
+    };
+    const {servez, baseUrl} = await makeServer({accessLog: {format: 'combined'}, logger});
+    server = servez;
+    const requests = [];
+    servez.on('request', record => requests.push(record));
+    await (await fetch(`${baseUrl}/file.txt`, {headers: {'Referer': 'http://example.com/'}})).text();
+    await (await fetch(`${baseUrl}/missing.txt`)).text();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].status, 200);
+    assert.strictEqual(requests[0].bytes, fileTxtContents.length);
+    assert.strictEqual(requests[0].url, '/file.txt');
+    assert.strictEqual(requests[1].status, 404);
+    assert.isAtLeast(requests[0].duration, 0);
+    const logLines = lines.filter(line => line.includes('HTTP/1.1'));
+    assert.match(logLines[0], /^\S+ - - \[\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} [+-]\d{4}\] "GET \/file.txt HTTP\/1.1" 200 12 "http:\/\/example.com\/" ".*"$/);
+    assert.match(logLines[1], /"GET \/missing.txt HTTP\/1.1" 404 \d+ "-"/);
+  });
+
+  it('writes json access log to a rotating file', async() => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      const file = path.join(tempDir, 'access.log');
+      const {servez, baseUrl} = await makeServer({accessLog: {format: 'json', file, maxSize: 300}});
+      server = servez;
+      for (let i = 0; i < 3; ++i) {
+        await (await fetch(`${baseUrl}/file.txt`)).text();
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      assert.isTrue(fs.existsSync(`${file}.1`));
+      const record = JSON.parse(fs.readFileSync(file, 'utf8').trim().split('\n').pop());
+      assert.strictEqual(record.method, 'GET');
+      assert.strictEqual(record.status, 200);
+      assert.strictEqual(record.bytes, fileTxtContents.length);
+    } finally {
+      fs.rmSync(tempDir, {recursive: true, force: true});
+    }
+  });
+
+  it('finishes writing the access log file when closed', async() => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      const file = path.join(tempDir, 'access.log');
+      const {servez, baseUrl} = await makeServer({accessLog: {format: 'json', file}});
+      server = servez;
+      await (await fetch(`${baseUrl}/file.txt`)).text();
+      await servez.update({cors: true});
+      await (await fetch(`${baseUrl}/file.txt`)).text();
+      const otherFile = path.join(tempDir, 'other.log');
+      await servez.update({accessLog: {format: 'json', file: otherFile}});
+      await (await fetch(`${baseUrl}/file.txt`)).text();
+      await servez.update({accessLog: {format: 'json', file}});
+      await (await fetch(`${baseUrl}/file.txt`)).text();
+      await servez.update({accessLog: false});
+      await servez.close();
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      assert.strictEqual(lines.length, 3);
+      assert.strictEqual(fs.readFileSync(otherFile, 'utf8').trim().split('\n').length, 1);
+    } finally {
+      fs.rmSync(tempDir, {recursive: true, force: true});
+    }
+  });
+
+  it('serves metrics and health when metrics true', async() => {
+    const {servez, baseUrl, startInfo} = await makeServer({metrics: true, gzip: true});
+    server = servez;
+    await (await fetch(`${baseUrl}/file.txt`)).text();
+    await (await fetch(`${baseUrl}/missing.txt`)).text();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const stats = servez.getStats();
+    assert.strictEqual(stats.requests.total, 2);
+    assert.strictEqual(stats.requests.byStatus['200'], 1);
+    assert.strictEqual(stats.requests.byStatus['404'], 1);
+    assert.strictEqual(stats.requests.byMethod.GET, 2);
+    assert.strictEqual(stats.compression.gzip, 1);
+    assert.strictEqual(stats.latency.count, 2);
+    const res1 = await fetch(`${baseUrl}/__servez/metrics`);
+    const text = await res1.text();
+    assert.include(text, 'servez_requests_total{method="GET",status="200"} 1');
+    assert.include(text, 'servez_requests_total{method="GET",status="404"} 1');
+    assert.include(text, 'servez_compressed_responses_total{encoding="gzip"} 1');
+    assert.include(text, 'servez_request_duration_seconds_bucket{le="+Inf"} 2');
+    assert.match(text, /servez_active_connections [1-9]/);
+    const res2 = await fetch(`${baseUrl}/__servez/health`);
+    const health = await res2.json();
+    assert.strictEqual(health.status, 'ok');
+    assert.strictEqual(health.port, startInfo.port);
+    assert.strictEqual(health.root, root);
+  });
+
+  it('does not show secrets in health', async() => {
+    const {servez, baseUrl} = await makeServer({
+      metrics: true,
+      username: 'admin',
+      password: 'admin-pw',
+      users: {alice: 'secret-pw'},
+      htpasswd: '/secret/htpasswd',
+      key: '/secret/key.pem',
+      cert: '/secret/cert.pem',
+      dataDir: '/secret/data',
+      proxy: {'/api': 'http://secret.internal:3000'},
+    });
+    server = servez;
+    const auth = {Authorization: `Basic ${Buffer.from('alice:secret-pw').toString('base64')}`};
+    const res = await fetch(`${baseUrl}/__servez/health`, {headers: auth});
+    assert.strictEqual(res.status, 200);
+    const text = await res.text();
+    for (const secret of ['admin', 'secret', 'htpasswd', 'dataDir', 'users', 'proxy']) {
+      assert.notInclude(text, secret);
+    }
+    assert.strictEqual(JSON.parse(text).settings.metrics, true);
+  });
+
+  it('never caches by default', async() => {
+    const {servez, baseUrl} = await makeServer();
+    server = servez;
+    const res = await fetch(`${baseUrl}/file.txt`);
+    assert.strictEqual(res.headers.get('cache-control'), 'no-cache, no-store, must-revalidate');
+    assert.strictEqual(res.headers.get('pragma'), 'no-cache');
+  });
+
+  it('answers 304 when cache revalidate', async() => {
+    const {servez, baseUrl} = await makeServer({cache: 'revalidate', compress: 'auto'});
+    server = servez;
+    for (const encoding of ['identity', 'gzip']) {
+      const res1 = await fetch(`${baseUrl}/image.svg`, {headers: {'Accept-Encoding': encoding}});
+      assert.strictEqual(res1.headers.get('cache-control'), 'no-cache');
+      assert.isNull(res1.headers.get('pragma'));
+      const etag = res1.headers.get('etag');
+      assert.ok(etag);
+      await res1.text();
+      const res2 = await httpGet(`${baseUrl}/image.svg`, {'Accept-Encoding': encoding, 'If-None-Match': etag});
+      assert.strictEqual(res2.statusCode, 304);
+    }
+  });
+
+  it('applies cacheRules to static and precompressed files', async() => {
+    const {servez, baseUrl} = await makeServer({
+      gzip: true,
+      cacheRules: {
+        'folder/**': 'revalidate',
+        '*.svg': 'immutable',
+        'file.txt': 'max-age=60',
+      },
+    });
+    server = servez;
+    const res1 = await fetch(`${baseUrl}/image.svg`);
+    assert.strictEqual(res1.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+    const res2 = await fetch(`${baseUrl}/file.txt`);
+    assert.strictEqual(res2.headers.get('content-encoding'), 'gzip');
+    assert.strictEqual(res2.headers.get('cache-control'), 'max-age=60');
+    const res3 = await fetch(`${baseUrl}/foo.html`);
+    assert.strictEqual(res3.headers.get('cache-control'), 'no-cache, no-store, must-revalidate');
+    const res4 = await fetch(`${baseUrl}/folder/index.html`);
+    assert.strictEqual(res4.headers.get('cache-control'), 'no-cache');
+  });
+
+  it('applies _headers and _redirects when hostRules', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.writeFileSync(path.join(tempRoot, 'index.html'), 'app');
+      fs.writeFileSync(path.join(tempRoot, 'missing.html'), 'not found');
+      fs.mkdirSync(path.join(tempRoot, 'new'));
+      fs.writeFileSync(path.join(tempRoot, 'new', 'page.txt'), 'new page');
+      fs.writeFileSync(path.join(tempRoot, '_headers'), [
+        '# comment',
+        '/new/*',
+        '  X-Frame-Options: DENY',
+        '  X-Test: a',
+        '/new/:name',
+        '  X-Test: b',
+      ].join('\n'));
+      fs.writeFileSync(path.join(tempRoot, '_redirects'), [
+        '/old/*           /new/:splat       301',
+        '/blog/:year/:id  /posts/:id?y=:year',
+        '/index.html      /new/page.txt     200',
+        '/forced          /new/page.txt     200!',
+        '/app/*           /index.html       200',
+        '/*               /missing.html     404',
+      ].join('\n'));
+      const {servez, baseUrl} = await makeServer({hostRules: true, headers: {'X-Frame-Options': 'SAMEORIGIN'}, root: tempRoot});
+      server = servez;
+
+      const res1 = await fetch(`${baseUrl}/old/page.txt?a=1`, {redirect: 'manual'});
+      assert.strictEqual(res1.status, 301);
+      assert.strictEqual(res1.headers.get('location'), '/new/page.txt?a=1');
+      const res2 = await fetch(`${baseUrl}/blog/2024/hello`, {redirect: 'manual'});
+      assert.strictEqual(res2.status, 301);
+      assert.strictEqual(res2.headers.get('location'), '/posts/hello?y=2024');
+
+      const res3 = await fetch(`${baseUrl}/new/page.txt`);
+      assert.strictEqual(await res3.text(), 'new page');
+      assert.strictEqual(res3.headers.get('x-frame-options'), 'DENY');
+      assert.strictEqual(res3.headers.get('x-test'), 'a, b');
+
+      const res4 = await fetch(`${baseUrl}/app/some/route`);
+      assert.strictEqual(res4.status, 200);
+      assert.strictEqual(await res4.text(), 'app');
+      // files that exist shadow rules that are not forced
+      const res5 = await fetch(`${baseUrl}/index.html`);
+      assert.strictEqual(await res5.text(), 'app');
+      const res6 = await fetch(`${baseUrl}/forced`);
+      assert.strictEqual(await res6.text(), 'new page');
+      const res7 = await fetch(`${baseUrl}/nothing/here`);
+      assert.strictEqual(res7.status, 404);
+      assert.strictEqual(await res7.text(), 'not found');
+
+      // edits are picked up without restarting
+      fs.writeFileSync(path.join(tempRoot, '_redirects'), '/old/*  /newer/:splat  302\n');
+      fs.writeFileSync(path.join(tempRoot, '_headers'), '/new/*\n  X-Test: c\n');
+      const res8 = await fetch(`${baseUrl}/old/page.txt`, {redirect: 'manual'});
+      assert.strictEqual(res8.status, 302);
+      assert.strictEqual(res8.headers.get('location'), '/newer/page.txt');
+      const res9 = await fetch(`${baseUrl}/new/page.txt`);
+      assert.strictEqual(res9.headers.get('x-test'), 'c');
+      assert.strictEqual(res9.headers.get('x-frame-options'), 'SAMEORIGIN');
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('serves custom error pages and templates', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.writeFileSync(path.join(tempRoot, '404.html'), 'custom 404');
+      const {servez, baseUrl} = await makeServer({root: tempRoot});
+      server = servez;
+
+      const res1 = await fetch(`${baseUrl}/missing.txt`);
+      assert.strictEqual(res1.status, 404);
+      assert.strictEqual(await res1.text(), 'custom 404');
+
+      const res2 = await fetch(`${baseUrl}/missing.txt`, {headers: {Accept: 'application/json'}});
+      assert.strictEqual(res2.status, 404);
+      assert.deepEqual(await res2.json(), {error: {status: 404, path: '/missing.txt', message: 'No such path /missing.txt'}});
+
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('fills in error template if no error page', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.writeFileSync(path.join(tempRoot, '404.html'), 'custom 404');
+      const templateFilename = path.join(tempRoot, 'template.html');
+      fs.writeFileSync(templateFilename, '<p>{status} {path} {message}</p>');
+      const {servez, baseUrl} = await makeServer({
+        root: tempRoot,
+        errorPages: {404: 'nope.html'},
+        errorTemplate: templateFilename,
+      });
+      server = servez;
+      const res = await fetch(`${baseUrl}/a&b`);
+      assert.strictEqual(res.status, 404);
+      assert.strictEqual(await res.text(), '<p>404 /a&amp;b No such path /a&amp;b</p>');
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('serves mounts with their own options', async() => {
+    const {servez, baseUrl} = await makeServer({
+      index: true,
+      mounts: [
+        {path: '/', root},
+        {path: '/fixtures/more/', root: path.join(root, 'folder'), dirs: true, index: false},
+      ],
+    });
+    server = servez;
+    const res1 = await fetch(`${baseUrl}/file.txt`);
+    assert.strictEqual(await res1.text(), fileTxtContents);
+    const res2 = await fetch(`${baseUrl}/folder/`);
+    assert.strictEqual(await res2.text(), folderIndexHtmlContents);
+    const res3 = await fetch(`${baseUrl}/fixtures/more/empty.txt`);
+    assert.strictEqual(res3.status, 200);
+    const res4 = await fetch(`${baseUrl}/fixtures/more`);
+    const html = await res4.text();
+    assert.include(html, 'href="empty.txt"');
+    assert.include(html, '<a href="/fixtures/more">fixtures/more</a>');
+    assert.notInclude(html, 'href="/fixtures"');
+  });
+
+  it('uses the mount at / when mounts are set without root', async() => {
+    const servez = new Servez({
+      port: 8080,
+      scan: true,
+      autoStart: false,
+      robots: true,
+      mounts: [
+        {path: '/', root},
+        {path: '/more', root: path.join(root, 'folder')},
+      ],
+    });
+    server = servez;
+    const {baseUrl} = await servez.start();
+    const res1 = await fetch(`${baseUrl}/missing.txt`);
+    assert.strictEqual(res1.status, 404);
+    assert.notInclude(await res1.text(), 'TypeError');
+    const res2 = await fetch(`${baseUrl}/robots.txt`);
+    assert.strictEqual(res2.status, 200);
+    assert.include(await res2.text(), 'Disallow');
+
+    assert.throws(() => new Servez({port: 8080, autoStart: false, mounts: [{path: '/more', root}]}), /root must be set/);
+  });
+
+  it('serves http2 and http1 when ssl', async function() {
+    this.timeout(20000);  // making the fake cert is slow
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    const {backend, origin} = await makeBackend((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({url: req.url, host: req.headers.host, forwardedHost: req.headers['x-forwarded-host']}));
+    });
+    try {
+      const {servez, baseUrl, startInfo} = await makeServer({ssl: true, gzip: true, dataDir, proxy: {'/api': origin}});
+      server = servez;
+      assert.deepEqual(startInfo.protocols, ['h2', 'http/1.1']);
+
+      const res1 = await http2Get(baseUrl, '/file.txt');
+      assert.strictEqual(res1.headers[':status'], 200);
+      assert.strictEqual(res1.headers['cache-control'], 'no-cache, no-store, must-revalidate');
+      assert.strictEqual(res1.body.toString(), fileTxtContents);
+
+      const res2 = await http2Get(baseUrl, '/file.txt', {'accept-encoding': 'gzip'});
+      assert.strictEqual(res2.headers['content-encoding'], 'gzip');
+      assert.strictEqual(zlib.gunzipSync(res2.body).toString(), fileTxtContents);
+
+      const res3 = await http2Get(baseUrl, '/missing.txt');
+      assert.strictEqual(res3.headers[':status'], 404);
+
+      const res4 = await new Promise((resolve, reject) => {
+        https.get(`${baseUrl}/file.txt`, {rejectUnauthorized: false}, (res) => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            text += chunk;
+          });
+          res.on('end', () => resolve({res, text}));
+        }).on('error', reject);
+      });
+      assert.strictEqual(res4.res.httpVersion, '1.1');
+      assert.strictEqual(res4.text, fileTxtContents);
+
+      const warnings = [];
+      const onWarning = warning => warnings.push(warning.message);
+      process.on('warning', onWarning);
+      const res5 = await http2Get(baseUrl, '/api/x?y=1');
+      process.off('warning', onWarning);
+      assert.deepEqual(warnings, []);
+      assert.strictEqual(res5.headers[':status'], 200);
+      assert.deepEqual(JSON.parse(res5.body.toString()), {
+        url: '/api/x?y=1',
+        host: new URL(origin).host,
+        forwardedHost: new URL(baseUrl).host,
+      });
+    } finally {
+      backend.close();
+      fs.rmSync(dataDir, {recursive: true, force: true});
+    }
+  });
+
+  it('makes certs from a local CA when ssl without cert and key', async function() {
+    this.timeout(20000);  // making keys is slow
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      const {servez, baseUrl} = await makeServer({ssl: true, http2: false, hostnames: ['servez.test'], dataDir});
+      server = servez;
+      const caPem = Servez.exportCA(dataDir);
+      const {res, body} = await new Promise((resolve, reject) => {
+        // trusts only the local CA so fails if the cert was not issued by it
+        https.get(`${baseUrl}/__servez/ca.crt`, {ca: caPem, agent: false}, (res) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => resolve({res, body: Buffer.concat(chunks)}));
+        }).on('error', reject);
+      });
+      const altNames = res.socket.getPeerCertificate().subjectaltname;
+      assert.include(altNames, 'DNS:localhost');
+      assert.include(altNames, 'DNS:servez.test');
+      assert.include(altNames, 'IP Address:127.0.0.1');
+      assert.deepEqual(body, Servez.exportCA(dataDir, 'der'));
+    } finally {
+      fs.rmSync(dataDir, {recursive: true, force: true});
+    }
+  });
+
+  it('takes as long to check unknown users as real ones', async() => {
+    const {servez, baseUrl} = await makeServer({
+      // erin:servez-dummy as bcrypt with a cost of 10 so checking it is slow
+      users: {erin: '$2b$10$YfJ93z5sMeMIr5BVg2Oi5.Hf1esZJmPvxO.bBDlE6KqDz42l0oG5C'},
+    });
+    server = servez;
+    const time = async(user) => {
+      const start = Date.now();
+      const res = await fetch(`${baseUrl}/file.txt`, {
+        headers: {Authorization: `Basic ${Buffer.from(`${user}:wrong`).toString('base64')}`},
+      });
+      assert.strictEqual(res.status, 401);
+      await res.text();
+      return Date.now() - start;
+    };
+    const realTime = await time('erin');
+    const unknownTime = await time('nobody');
+    assert.isAbove(unknownTime, realTime / 3);
+  });
+
+  it('checks users from htpasswd and users with per path rules', async() => {
+    const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    try {
+      fs.mkdirSync(path.join(tempRoot, 'public'));
+      fs.mkdirSync(path.join(tempRoot, 'private'));
+      fs.writeFileSync(path.join(tempRoot, 'public', 'a.txt'), 'public');
+      fs.writeFileSync(path.join(tempRoot, 'private', 'b.txt'), 'private');
+      fs.writeFileSync(path.join(tempRoot, 'c.txt'), 'other');
+      const htpasswdFilename = path.join(tempRoot, '.htpasswd');
+      fs.writeFileSync(htpasswdFilename, [
+        // alice:apple as bcrypt
+        'alice:$2y$04$iEGXGxoujZqwcUUPXDkcCukZHDSezhonMz5DqXQ0Jhhnk9SVS6/IW',
+        // bob:banana as apr1-MD5
+        'bob:$apr1$ncU0uPxf$44N.Ble2w08dunQ5Uv/gS.',
+        // carol:cherry as SHA1
+        'carol:{SHA}fkHGSAhSpKkU5Ix6OkCE8ZPpY9k=',
+      ].join('\n'));
+      const {servez, baseUrl} = await makeServer({
+        root: tempRoot,
+        writable: true,
+        htpasswd: htpasswdFilename,
+        users: {
+          bob: {role: 'read-only'},
+          dave: 'durian',
+        },
+        authRules: [
+          {path: '/public/**', public: true},
+          {path: '/private/**', users: ['alice', 'bob']},
+        ],
+      });
+      server = servez;
+      const get = (pathname, user, password, options = {}) => fetch(`${baseUrl}${pathname}`, Object.assign({
+        headers: user ? {Authorization: `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`} : {},
+      }, options));
+
+      assert.strictEqual((await get('/public/a.txt')).status, 200);
+      assert.strictEqual((await get('/c.txt')).status, 401);
+      assert.strictEqual((await get('/c.txt', 'alice', 'apple')).status, 200);
+      assert.strictEqual((await get('/c.txt', 'alice', 'wrong')).status, 401);
+      assert.strictEqual((await get('/c.txt', 'bob', 'banana')).status, 200);
+      assert.strictEqual((await get('/c.txt', 'carol', 'cherry')).status, 200);
+      assert.strictEqual((await get('/c.txt', 'dave', 'durian')).status, 200);
+      assert.strictEqual((await get('/c.txt', 'nobody', '')).status, 401);
+
+      assert.strictEqual((await get('/private/b.txt')).status, 401);
+      assert.strictEqual((await get('/private/b.txt', 'bob', 'banana')).status, 200);
+      assert.strictEqual((await get('/private/b.txt', 'carol', 'cherry')).status, 403);
+      assert.strictEqual((await get('/public/../private/b.txt', 'carol', 'cherry')).status, 403);
+      assert.strictEqual((await get('/PRIVATE/b.txt', 'carol', 'cherry')).status, 403);
+
+      // read-only users can't write, even in public folders
+      assert.strictEqual((await get('/public/new.txt', undefined, undefined, {method: 'PUT', body: 'x'})).status, 401);
+      assert.strictEqual((await get('/public/new.txt', 'bob', 'banana', {method: 'PUT', body: 'x'})).status, 403);
+      assert.strictEqual((await get('/public/new.txt', 'carol', 'cherry', {method: 'PUT', body: 'x'})).status, 201);
+
+      // the destination of COPY and MOVE has to pass the rules too
+      for (const method of ['COPY', 'MOVE']) {
+        const res = await get('/public/new.txt', 'carol', 'cherry', {
+          method,
+          headers: {
+            Authorization: `Basic ${Buffer.from('carol:cherry').toString('base64')}`,
+            Destination: '/private/b.txt',
+          },
+        });
+        assert.strictEqual(res.status, 403, method);
+      }
+      assert.strictEqual(fs.readFileSync(path.join(tempRoot, 'private', 'b.txt'), 'utf8'), 'private');
+      assert.isTrue(fs.existsSync(path.join(tempRoot, 'public', 'new.txt')));
+      const res = await get('/public/new.txt', 'carol', 'cherry', {
+        method: 'COPY',
+        headers: {
+          Authorization: `Basic ${Buffer.from('carol:cherry').toString('base64')}`,
+          Destination: '/public/copy.txt',
+        },
+      });
+      assert.strictEqual(res.status, 201);
+    } finally {
+      fs.rmSync(tempRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('only serves allowed addresses', async() => {
+    const {servez, baseUrl} = await makeServer({
+      allow: ['10.0.0.0/8', 'fd00::/8'],
+      deny: ['10.9.9.9'],
+      trustProxy: true,
+    });
+    server = servez;
+    const rejected = [];
+    servez.on('reject', info => rejected.push(info));
+    const get = forwardedFor => fetch(`${baseUrl}/file.txt`, {
+      headers: forwardedFor ? {'X-Forwarded-For': forwardedFor} : {},
+    });
+    assert.strictEqual((await get()).status, 403);
+    assert.strictEqual((await get('10.1.2.3')).status, 200);
+    assert.strictEqual((await get('fd00::5')).status, 200);
+    assert.strictEqual((await get('10.9.9.9')).status, 403);
+    // only the address added by the trusted proxy counts
+    assert.strictEqual((await get('10.1.2.3, 192.168.1.1')).status, 403);
+    assert.deepEqual(rejected.map(info => info.address), [rejected[0].address, '10.9.9.9', '192.168.1.1']);
+    assert.strictEqual(rejected[1].url, '/file.txt');
+  });
+
+  it('throttles responses when throttle set', async() => {
+    const {servez, baseUrl} = await makeServer({
+      dirs: true,
+      gzip: true,
+      throttle: {
+        bandwidth: 20000,
+        latency: 100,
+        paths: {
+          'file.txt': false,
+        },
+      },
+    });
+    server = servez;
+    const time = async(fn) => {
+      const start = performance.now();
+      await fn();
+      return performance.now() - start;
+    };
+
+    // 7283 bytes at 20000 bytes per second + 100ms latency
+    const svgTime = await time(async() => {
+      const res = await fetch(`${baseUrl}/image.svg`);
+      assert.strictEqual(await res.text(), imageSvgContents);
+    });
+    assert.isAbove(svgTime, 400);
+
+    const txtTime = await time(async() => {
+      const res = await fetch(`${baseUrl}/file.txt`, {headers: {'Accept-Encoding': 'gzip'}});
+      assert.strictEqual(res.headers.get('content-encoding'), 'gzip');
+      assert.strictEqual(await res.text(), fileTxtContents);
+    });
+    assert.isBelow(txtTime, 100);
+
+    const listingTime = await time(async() => {
+      const res = await fetch(`${baseUrl}/folder/`);
+      assert.include(await res.text(), 'empty.txt');
+    });
+    assert.isAbove(listingTime, 100);
+
+    const stats = servez.getStats().throttle;
+    assert.strictEqual(stats.responses, 2);
+    assert.isAbove(stats.bytes, 7283);
+    assert.isAbove(stats.bytesPerSecond, 10000);
+    assert.isBelow(stats.bytesPerSecond, 25000);
+  });
+
+  it('injects faults and toggles them at runtime', async() => {
+    const {servez, baseUrl} = await makeServer({
+      faults: [
+        {name: 'broken', fault: 'status', status: 503, path: 'file.txt', enabled: false},
+        {name: 'corrupt', fault: 'corrupt', path: '*.svg', bytes: 3},
+        {name: 'drop', fault: 'drop', path: /^\/image\.(png|jpg)$/},
+        {name: 'stall', fault: 'stall', path: 'folder/**'},
+      ],
+    });
+    server = servez;
+    const faults = [];
+    servez.on('fault', info => faults.push(info.name));
+
+    assert.strictEqual((await fetch(`${baseUrl}/file.txt`)).status, 200);
+    servez.enableFault('broken');
+    assert.strictEqual((await fetch(`${baseUrl}/file.txt`)).status, 503);
+    servez.enableFault('broken', false);
+    assert.strictEqual((await fetch(`${baseUrl}/file.txt`)).status, 200);
+
+    const svg = await (await fetch(`${baseUrl}/image.svg`)).text();
+    assert.strictEqual(svg.length, imageSvgContents.length);
+    assert.notStrictEqual(svg, imageSvgContents);
+
+    const res = await fetch(`${baseUrl}/image.png`);
+    assert.strictEqual(res.status, 200);
+    let error;
+    try {
+      await res.arrayBuffer();
+    } catch (e) {
+      error = e;
+    }
+    assert.ok(error, 'body should be cut off');
+
+    error = undefined;
+    try {
+      await fetch(`${baseUrl}/folder/index.html`, {signal: AbortSignal.timeout(200)});
+    } catch (e) {
+      error = e;
+    }
+    assert.strictEqual(error && error.name, 'TimeoutError');
+
+    servez.setFaults([{fault: 'length', delta: 5}]);
+    const headers = await new Promise((resolve, reject) => {
+      http.get(`${baseUrl}/file.txt`, (res) => {
+        res.on('error', () => {});
+        res.resume();
+        resolve(res.headers);
+      }).on('error', reject);
+    });
+    assert.strictEqual(parseInt(headers['content-length']), Buffer.byteLength(fileTxtContents) + 5);
+    assert.deepEqual(servez.getFaults().map(rule => rule.fault), ['length']);
+
+    assert.deepEqual(faults, ['broken', 'corrupt', 'drop', 'stall', undefined]);
+  });
+
+  it('starts, restarts and closes with promises', async() => {
+    const servez = new Servez({root, port: 8080, scan: true, autoStart: false});
+    server = servez;
+    assert.isNull(servez.address());
+    const events = [];
+    servez.on('start', () => events.push('start'));
+    servez.on('close', () => events.push('close'));
+
+    const startInfo = await servez.start();
+    assert.strictEqual(await servez.start(), startInfo);
+    assert.strictEqual(servez.address().port, startInfo.port);
+    assert.include(startInfo.urls, startInfo.baseUrl);
+    assert.strictEqual(await (await fetch(`${startInfo.baseUrl}/file.txt`)).text(), fileTxtContents);
+
+    const restartInfo = await servez.restart({headers: {'x-restarted': 'yes'}});
+    const res = await fetch(`${restartInfo.baseUrl}/file.txt`);
+    assert.strictEqual(res.headers.get('x-restarted'), 'yes');
+    await res.text();
+
+    await servez.close({timeout: 1000});
+    assert.isNull(servez.address());
+    assert.deepEqual(events, ['start', 'close', 'start', 'close']);
+  });
+
+  it('does not wait for live reload clients when closing', async() => {
+    const {servez, baseUrl} = await makeServer({liveReload: true});
+    await new Promise((resolve, reject) => {
+      http.get(`${baseUrl}/__servez/live-reload`, (res) => {
+        res.resume();
+        res.on('error', () => {});
+        resolve();
+      }).on('error', reject);
+    });
+    const start = Date.now();
+    await servez.close({timeout: 3000});
+    assert.isBelow(Date.now() - start, 1000);
+  });
+
+  it('updates settings without restarting', async() => {
+    const {servez, startInfo, baseUrl} = await makeServer();
+    server = servez;
+    const events = [];
+    servez.on('start', () => events.push('start'));
+    servez.on('close', () => events.push('close'));
+    assert.strictEqual((await fetch(`${baseUrl}/`)).status, 404);
+
+    const result = await servez.update({dirs: true, headers: {'x-updated': 'yes'}, port: startInfo.port + 1});
+    assert.deepEqual(result.restartRequired, ['port']);
+    assert.strictEqual(servez.address().port, startInfo.port);
+    assert.strictEqual((await fetch(`${baseUrl}/`)).status, 200);
+    const res = await fetch(`${baseUrl}/file.txt`);
+    assert.strictEqual(res.headers.get('x-updated'), 'yes');
+    await res.text();
+
+    await servez.update({dirs: false});
+    assert.strictEqual((await fetch(`${baseUrl}/`)).status, 404);
+    assert.deepEqual(events, []);
+  });
+
+  it('keeps fault rules across updates', async() => {
+    const {servez, baseUrl} = await makeServer({
+      faults: [{name: 'broken', fault: 'status', status: 503, path: 'file.txt', enabled: false}],
+    });
+    server = servez;
+    servez.enableFault('broken');
+    await servez.update({cors: true});
+    assert.strictEqual((await fetch(`${baseUrl}/file.txt`)).status, 503);
+
+    let error;
+    try {
+      await servez.update({liveReload: true, mounts: [{path: '/other', root, cache: 'bogus'}]});
+    } catch (e) {
+      error = e;
+    }
+    assert.match(error && error.message, /bogus/);
+    servez.enableFault('broken', false);
+    assert.strictEqual((await fetch(`${baseUrl}/file.txt`)).status, 200);
+
+    await servez.update({faults: []});
+    assert.deepEqual(servez.getFaults(), []);
+  });
+
+  it('listens only on 127.0.0.1 for listen entries without host when local', async() => {
+    const servez = new Servez({root, local: true, scan: true, autoStart: false, listen: [{port: 8080}]});
+    server = servez;
+    await servez.start();
+    assert.strictEqual(servez.address().address, '127.0.0.1');
+  });
+
+  it('listens on several addresses and a unix socket', async function() {
+    this.timeout(20000);  // making keys is slow
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    const socketPath = path.join(dataDir, 'servez.sock');
+    try {
+      const servez = new Servez({
+        root,
+        dataDir,
+        scan: true,
+        autoStart: false,
+        listen: [
+          {host: '127.0.0.1', port: 8080},
+          {host: '::1', port: 8443, ssl: true},
+          {path: socketPath},
+        ],
+      });
+      server = servez;
+      const hosts = [];
+      servez.on('host', info => hosts.push(info.root));
+      const startInfo = await servez.start();
+      const [ipv4, ipv6, unix] = startInfo.endpoints;
+      assert.strictEqual(servez.addresses().length, 3);
+      assert.strictEqual(servez.address().port, ipv4.port);
+      assert.strictEqual(startInfo.baseUrl, `http://127.0.0.1:${ipv4.port}`);
+      assert.deepEqual(ipv6.urls, [`https://[::1]:${ipv6.port}`]);
+      assert.deepEqual(ipv6.protocols, ['h2', 'http/1.1']);
+      assert.strictEqual(unix.path, socketPath);
+      assert.deepEqual(hosts, startInfo.urls.map(url => `${url}/`));
+
+      assert.strictEqual(await (await fetch(`${startInfo.baseUrl}/file.txt`)).text(), fileTxtContents);
+      const res = await http2Get(ipv6.urls[0], '/file.txt');
+      assert.strictEqual(res.body.toString(), fileTxtContents);
+      const body = await new Promise((resolve, reject) => {
+        http.get({socketPath, path: '/file.txt'}, (res) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        }).on('error', reject);
+      });
+      assert.strictEqual(body, fileTxtContents);
+
+      await servez.close();
+      assert.isFalse(fs.existsSync(socketPath));
+    } finally {
+      fs.rmSync(dataDir, {recursive: true, force: true});
+    }
+  });
+
+  it('rejects start when the port is in use', async() => {
+    const {backend} = await makeBackend((req, res) => res.end());
+    try {
+      const port = backend.address().port;
+      const servez = new Servez({root, port, local: true, autoStart: false});
+      let error;
+      try {
+        await servez.start();
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, Servez.PortInUseError);
+      assert.strictEqual(error.code, 'EADDRINUSE');
+      assert.strictEqual(error.port, port);
+      await servez.close();
+    } finally {
+      backend.close();
+    }
+  });
+
+  it('rejects start with autoStart when the port is in use', async() => {
+    const {backend} = await makeBackend((req, res) => res.end());
+    const unhandled = [];
+    const onUnhandled = e => unhandled.push(e);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const port = backend.address().port;
+      const servez = new Servez({root, port, local: true});
+      let error;
+      try {
+        await servez.start();
+      } catch (e) {
+        error = e;
+      }
+      assert.instanceOf(error, Servez.PortInUseError);
+      // give an unhandled 'error' event a chance to throw
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.deepEqual(unhandled, []);
+      await servez.close();
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+      backend.close();
+    }
+  });
+
+  it('scans port ranges and random ports', async() => {
+    const {backend} = await makeBackend((req, res) => res.end());
+    try {
+      const port = backend.address().port;
+      const start = async(scan) => {
+        const servez = new Servez({root, port, local: true, scan, autoStart: false});
+        try {
+          return (await servez.start()).port;
+        } catch (e) {
+          return e;
+        } finally {
+          await servez.close();
+        }
+      };
+
+      const error = await start({from: port, to: port});
+      assert.instanceOf(error, Servez.PortsExhaustedError);
+      assert.strictEqual(error.code, 'ENOFREEPORT');
+
+      const rangePort = await start({from: port, to: port + 10});
+      assert.isAbove(rangePort, port);
+      assert.isAtMost(rangePort, port + 10);
+
+      const randomPort = await start('random');
+      assert.isAtLeast(randomPort, 1024);
+    } finally {
+      backend.close();
+    }
+  });
+
+  it('renders markdown for browsers', async() => {
+    const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'servez-test-'));
+    const notes = [
+      '# Hello, World!',
+      '',
+      '| a | b |',
+      '|---|---|',
+      '| 1 | 2 |',
+      '',
+      '- [x] done',
+      '',
+      '```js',
+      'const a = 1;',
+      '```',
+      '',
+      '[link](https://example.com)',
+    ].join('\n');
+    try {
+      fs.writeFileSync(path.join(tmpRoot, 'notes.md'), notes);
+      fs.writeFileSync(path.join(tmpRoot, 'README.md'), '# Read Me\n\n[notes](notes.md)\n');
+      const {servez, baseUrl} = await makeServer({root: tmpRoot, markdown: true, dirs: true});
+      server = servez;
+      const html = {'Accept': 'text/html,*/*;q=0.8'};
+
+      const res1 = await fetch(`${baseUrl}/notes.md`, {headers: html});
+      assert.strictEqual(res1.headers.get('content-type'), 'text/html; charset=utf-8');
+      const page = await res1.text();
+      assert.include(page, '<h1 id="hello-world">');
+      assert.include(page, '<table>');
+      assert.include(page, 'type="checkbox"');
+      assert.include(page, 'hljs-keyword');
+      assert.include(page, 'href="/notes.md?raw"');
+
+      const res2 = await fetch(`${baseUrl}/notes.md?raw`, {headers: html});
+      assert.strictEqual(await res2.text(), notes);
+      const res3 = await fetch(`${baseUrl}/notes.md`);
+      assert.strictEqual(await res3.text(), notes);
+
+      const listing = await (await fetch(`${baseUrl}/`)).text();
+      assert.include(listing, 'id="readme-html"');
+      // README links are hidden from Kodi
+      assert.notInclude(listing, '<a href=\\"notes.md');
+      assert.include(listing, '\\u003ch1 id=\\"read-me\\"');
+    } finally {
+      fs.rmSync(tmpRoot, {recursive: true, force: true});
+    }
+  });
+
+  it('does not serve metrics by default', async() => {
+    const {servez, baseUrl} = await makeServer();
+    server = servez;
+    assert.strictEqual(servez.getStats().requests.total, 0);
+    const res = await fetch(`${baseUrl}/__servez/health`);
+    assert.strictEqual(res.status, 404);
+  });
+
+});